@@ -1,9 +1,11 @@
 {
-	description: 'A user should be able to look up ' + dialCodeLookupCountry + '’s dialcode',
+	description: 'A user should be able to look up {country}’s dialcode',
+
+	examples: dialCodes,
 	
 	scenario: [
 		TripToolsWidget.open,
-		DialCodeWidget.lookup, dialCodeLookupCountry,
-		{ 'DialCodeWidget.result': dialCodeExpectedResult }
+		DialCodeWidget.lookup, example.country,
+		{ 'DialCodeWidget.result': example.result }
 	]
 }
@@ -9,11 +9,9 @@
 							  });
 		},
 		ClockWidget.lookup, clockLookupTown,
-		function() {
-			return ClockWidget.getCurrentHour()
-							  .then(function(hour) {
-							  	assert.equal(hour, storage.previousHour - 1);
-							  });
-		}
+		{ 'ClockWidget.result': /^\d{1,2}:\d{2}/ },
+		{ 'ClockWidget.result': function isOneHourEarlier(time) {
+			return +time.split(':')[0] == storage.previousHour - 1;
+		} }
 	]
 }
@@ -1,2 +1,5 @@
-dialCodeLookupCountry = 'France'
-dialCodeExpectedResult = 'France(FR): 00 33'
+dialCodes = [
+	{ country: 'France',	result: 'France(FR): 00 33' },
+	{ country: 'Germany',	result: 'Germany(DE): 00 49' },
+	{ country: 'Japan',		result: 'Japan(JP): 00 81' }
+]
@@ -1,5 +1,7 @@
 {
 	description: 'Looking up an ambiguous term should make a Zero Click Info box appear.',
+
+	tags: [ 'smoke' ],
 	
 	scenario: [
 		SearchBarWidget.searchFor, lookupTerm,
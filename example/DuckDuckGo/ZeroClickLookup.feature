@@ -0,0 +1,14 @@
+# The same feature as ZeroClickFeature.js, written in Gherkin.
+# Steps are mapped onto widgets in ZeroClickSteps.js.
+
+Feature: Zero Click Info
+
+	@smoke
+	Scenario Outline: Looking up "<term>" should make a Zero Click Info box appear
+		When I search for "<term>"
+		Then a Zero Click Info box should list the meanings of "<term>"
+
+		Examples:
+			| term	|
+			| Toto	|
+			| Mercury	|
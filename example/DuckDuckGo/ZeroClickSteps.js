@@ -0,0 +1,9 @@
+{
+	'I search for "(.+)"': function(term) {
+		return [ SearchBarWidget.searchFor, term ];
+	},
+
+	'a Zero Click Info box should list the meanings of "(.+)"': function(term) {
+		return [ { 'ZeroClickWidget.header': 'Meanings of ' + term } ];
+	}
+}
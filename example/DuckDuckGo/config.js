@@ -9,5 +9,22 @@ module.exports = {
 		// If your browsers are placed in a “non-default” path, set the paths to the **binaries** in the following keys:
 		//	firefox_binary: '/Applications/Firefox.app/Contents/MacOS/firefox',
 		//	'chrome.binary': '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+	},
+
+	// naming rules generating widget methods from element names, in addition to the default `*Link`, `*Button`, `*Field`, `*Checkbox`, `*Select` and `*Hover` ones
+	// here, a `resultsTab` element would generate a `results()` method clicking it
+	magic: {
+		tab: { suffix: 'Tab', action: 'click', description: 'opened' }
+	},
+
+	// browsers in which to evaluate this suite when calling `watai --browsers firefox,chrome example/DuckDuckGo`
+	// `driverCapabilities` may also directly be set to an array of capabilities, to always evaluate the suite in several browsers
+	browserProfiles: {
+		firefox: {
+			browserName: 'firefox'
+		},
+		chrome: {
+			browserName: 'chrome'
+		}
 	}
 }
@@ -5,7 +5,10 @@
 		ToolbarWidget.editUser,
 		{ 'ToolbarWidget.username': oldName },
 		NameEditorWidget.setUsername, newName,
-		{ 'ToolbarWidget.username': newName },
+		{ 'ToolbarWidget.username': newName }
+	],
+
+	after: [	// restore the name even if the scenario failed, so that the next evaluation starts from the same state
 		NameEditorWidget.setUsername, oldName,
 		{ 'ToolbarWidget.username': oldName }
 	]
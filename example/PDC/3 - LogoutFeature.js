@@ -3,6 +3,9 @@
 	
 	scenario: [
 		ToolbarWidget.logout,
-		LoginWidget.has, 'openLink'
+		{
+			'ToolbarWidget.username': Watai.absent,
+			'LoginWidget.openLink:displayed': true
+		}
 	]
 }
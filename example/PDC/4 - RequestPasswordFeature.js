@@ -1,11 +1,13 @@
 {
 	description: 'A password request reset should be protected by a captcha',
+
+	requires: [ 'LogoutFeature' ],	// the login form is available only once logged out
 	
 	scenario: [
 		LoginWidget.open,
 		LoginWidget.requestPassword,
-		PasswordRequestWidget.has, 'captcha',
+		Watai.expect(PasswordRequestWidget.has), 'captcha',
 		PasswordRequestWidget.askFor, badEmail,	// check that the captcha is here even after having tried to ask for a reset
-		PasswordRequestWidget.has, 'captcha'
+		Watai.expect(PasswordRequestWidget.has), 'captcha'
 	]
 }
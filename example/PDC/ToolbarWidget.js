@@ -1,7 +1,9 @@
 {
+	root: { xpath: '//article[@id="login"]/section[2]' },
+
 	elements: {
-		username:	{ xpath: '//article[@id="login"]/section[2]/span' },
-		logoutLink:	{ xpath: '//article[@id="login"]/section[2]/a[2]' },
-		editUserLink:{ xpath: '//article[@id="login"]/section[2]/a[1]' }
+		username:	{ css: 'span' },
+		logoutLink:	{ css: 'a:nth-of-type(2)' },
+		editUserLink:{ css: 'a:nth-of-type(1)' }
 	}
 }
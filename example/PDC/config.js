@@ -1,5 +1,17 @@
 module.exports = {
-	baseURL: 'http://pdc.refedd.org/', //TODO: add environments support (production / dev…)
+	baseURL: 'http://pdc.refedd.org/',
+
+	// select one with `watai --env dev example/PDC` or by setting the WATAI_ENV environment variable
+	environments: {
+		production: {},	// same as the defaults above
+		dev: {
+			baseURL: 'http://localhost:8080/',
+			data: {	// overrides values defined in data files
+				email: 'dev@localhost',
+				password: 'dev'
+			}
+		}
+	},
 	
 	// see all allowed values at http://code.google.com/p/selenium/wiki/DesiredCapabilities
 	driverCapabilities: {
@@ -55,6 +55,9 @@ var TestRight = {
 	/**@see	SuiteLoader
 	*/
 	SuiteLoader:require('./controller/SuiteLoader'),
+	/**@see	Orchestrator
+	*/
+	Orchestrator:require('./controller/Orchestrator'),
 	/**@see	Hook
 	*@private	(protected, exported for easier testing)
 	*/
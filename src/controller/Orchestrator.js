@@ -0,0 +1,240 @@
+var promises = require('q'),
+	pathsUtils = require('path');
+
+var logger = require('winston').loggers.get('suites');
+
+var SuiteLoader = require('./SuiteLoader'),
+	Runner = require('./Runner');
+
+
+var Orchestrator = new Class( /** @lends Orchestrator# */ {
+
+	Extends: require('events').EventEmitter,
+
+	/** Suites to evaluate, in order, as hashes with `path` and `options` keys.
+	*@type	{Array.<Object>}
+	*@see	#addSuite
+	*@private
+	*/
+	suites: [],
+
+	/** Reports of all suites that have been evaluated so far, in the order in which they were added.
+	*@type	{Array.<Object>}
+	*@see	#getReports
+	*@private
+	*/
+	reports: [],
+
+	/** Maximum number of suites to evaluate at the same time.
+	*@type	{Number}
+	*@private
+	*/
+	concurrency: 1,
+
+	/** Index of the next suite to start.
+	*@type	{integer}
+	*@private
+	*/
+	nextSuite: 0,
+
+	/** Number of suites currently being evaluated.
+	*@type	{integer}
+	*@private
+	*/
+	running: 0,
+
+	/** SuiteLoaders of the suites currently being evaluated.
+	*@type	{Array.<SuiteLoader>}
+	*@see	#cancel
+	*@private
+	*/
+	loaders: [],
+
+	/** Views of the evaluated suites that handle the "end" event, each subscribed to it only once, however many suites use it.
+	*@type	{Array.<Object>}
+	*@see	SuiteLoader#getViews
+	*@private
+	*/
+	views: [],
+
+	/** The promise controller (deferred object) for reports, resolved when all suites have been evaluated.
+	*@type	{q.deferred}
+	*@private
+	*/
+	deferred: null,
+
+
+	/**@class	Evaluates several test suites, sequentially or a given number at a time, and aggregates their results.
+	* Suites are loaded only when they are about to be evaluated, so that no browser is opened before it is needed.
+	*
+	*@constructs
+	*@param	{Object}	[options]	A hash of optional settings:
+	*	- `concurrency`: maximum number of suites to evaluate at the same time. Defaults to 1, i.e. sequential evaluation.
+	*/
+	initialize: function init(options) {
+		options = options || {};
+
+		if (options.concurrency > 0)
+			this.concurrency = Math.floor(options.concurrency);
+	},
+
+	/** Adds a suite to the list of those that this Orchestrator will evaluate.
+	*
+	*@param	{String}	path	Path to the test description folder of the suite.
+	*@param	{Object}	[options]	Configuration values to pass to the SuiteLoader.
+	*@return	This Orchestrator, for chaining.
+	*@see	SuiteLoader#initialize
+	*/
+	addSuite: function addSuite(path, options) {
+		this.suites.push({
+			path:		path,
+			options:	options
+		});
+
+		return this;
+	},
+
+	/** Returns reports of all suites evaluated so far, in the order in which they were added.
+	* Each report has the following keys:
+	*	- `name`: the name of the suite;
+	*	- `status`: one of "success", "failure" (some features failed or raised errors) or "error" (the suite itself could not be evaluated);
+	*	- `results`: the feature results of the suite, as given by `Runner#getResults`;
+	*	- `duration`: evaluation time of the whole suite, in milliseconds, including browser startup;
+	*	- `error`: for suites with an "error" status, the error that prevented their evaluation.
+	*
+	*@return	{Array.<Object>}
+	*/
+	getReports: function getReports() {
+		return this.reports;
+	},
+
+	/** Evaluates all added suites.
+	* Emits "suiteStart" and "suiteEnd" for each suite, then "end". Views of the suites that handle "end", such as reporters outputting a single document for all suites, are called then.
+	*
+	*@return	{Promise}	A promise for reports, resolved if all suites succeeded, rejected otherwise. In both cases, the passed value is the array of reports.
+	*@see	#getReports
+	*/
+	run: function run() {
+		this.deferred = promises.defer();
+		this.reports = [];
+		this.nextSuite = 0;
+		this.running = 0;
+		this.loaders = [];
+		this.views = [];
+
+		if (this.suites.length == 0)
+			this.finish();
+
+		while (this.running < this.concurrency
+			   && this.nextSuite < this.suites.length)
+			this.startNextSuite();
+
+		return this.deferred.promise;
+	},
+
+	/** Starts evaluation of the next suite, or finishes if all suites have been evaluated.
+	*@private
+	*/
+	startNextSuite: function startNextSuite() {
+		if (this.nextSuite >= this.suites.length) {
+			if (this.running == 0)
+				this.finish();
+
+			return;
+		}
+
+		var index = this.nextSuite++,
+			suite = this.suites[index],
+			report = this.reports[index] = {
+				name:		pathsUtils.basename(suite.path, '/'),
+				status:		'success',
+				results:	[],
+				duration:	0
+			},
+			startTime = Date.now(),
+			loader;
+
+		this.running++;
+		this.emit('suiteStart', report.name);
+
+		var end = function end() {
+			report.duration = Date.now() - startTime;
+			this.loaders.erase(loader);
+			this.running--;
+			this.emit('suiteEnd', report);
+			this.startNextSuite();
+		}.bind(this);
+
+		try {
+			loader = new SuiteLoader(suite.path, Object.merge({}, suite.options, { concurrency: this.concurrency }));	// some settings can not be used if other suites are evaluated at the same time
+		} catch (error) {
+			report.status = 'error';
+			report.error = error;
+			return end();
+		}
+
+		this.loaders.push(loader);
+
+		loader.getViews().each(function(view) {
+			if (view.end && ! this.views.contains(view)) {
+				this.views.push(view);
+				this.once('end', view.end);
+			}
+		}, this);
+
+		loader.run().then(function() {
+			report.results = loader.getResults();
+			end();
+		}, function(reason) {
+			report.results = loader.getResults();
+
+			if (reason instanceof Error) {
+				report.status = 'error';
+				report.error = reason;
+			} else {
+				report.status = 'failure';
+			}
+
+			end();
+		}).end();
+	},
+
+	/** Stops the evaluation of all suites.
+	* Suites being evaluated are cancelled, and reported with an "error" status, while suites that were not started yet are not evaluated nor reported. Once all suites have stopped, "end" is emitted as usual.
+	* All commands scheduled for browsers are dropped, so that browsers can be quit even if some command never completes.
+	*
+	*@return	{Promise}	A promise that is never rejected, resolved once all suites have stopped.
+	*@see	SuiteLoader#cancel
+	*/
+	cancel: function cancel() {
+		this.nextSuite = this.suites.length;	// don't start any other suite
+
+		Runner.abortCommands();
+
+		return promises.all(this.loaders.map(function(loader) {
+			return loader.cancel();
+		}));
+	},
+
+	/** Emits "end" and settles the promise for reports.
+	*@private
+	*/
+	finish: function finish() {
+		var reports = this.reports,
+			success = reports.every(function(report) {
+				return report.status == 'success';
+			});
+
+		logger.verbose('All ' + reports.length + ' suites evaluated');
+
+		this.emit('end', reports);
+
+		if (success)
+			this.deferred.resolve(reports);
+		else
+			this.deferred.reject(reports);
+	}
+});
+
+
+module.exports = Orchestrator;	// CommonJS export
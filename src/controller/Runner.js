@@ -1,5 +1,7 @@
 var webdriver = require('selenium-webdriverjs'),
-	promises = require('q');
+	promises = require('q'),
+	fs = require('fs'),
+	pathsUtils = require('path');
 
 
 var Runner = new Class( /** @lends Runner# */ {
@@ -12,12 +14,64 @@ var Runner = new Class( /** @lends Runner# */ {
 	*@private
 	*/
 	failures: Object.create(null),
+
+	/** Detailed results of the last evaluation, one item per evaluated feature, in evaluation order.
+	*@type	{Array.<Object>}
+	*@see	#getResults
+	*@private
+	*/
+	results: [],
+
+	/** Timestamp at which the evaluation of the current feature started.
+	*@type	{Number}
+	*@private
+	*/
+	featureStartTime: 0,
+
+	/** Number of times the current feature has been evaluated so far.
+	*@type	{integer}
+	*@private
+	*/
+	attempts: 0,
 	
 	/** The list of all features to evaluate with this configuration.
 	*@type	{Array.<Feature>}
 	*@private
 	*/
 	features: [],
+
+	/** Reasons for skipping features instead of evaluating them, indexed on the position of the feature in `features`.
+	*@type	{Array.<String>}
+	*@see	#addFeature
+	*@private
+	*/
+	skipReasons: [],
+
+	/** A feature to evaluate before all others, such as logging in, or `null` if there is none.
+	*@type	{Feature}
+	*@see	#setSetup
+	*@private
+	*/
+	setup: null,
+
+	/** A feature to evaluate after all others, such as logging out, or `null` if there is none.
+	*@type	{Feature}
+	*@see	#setTeardown
+	*@private
+	*/
+	teardown: null,
+
+	/** If the setup feature failed in the current evaluation, the reason why it did, `null` otherwise.
+	*@type	{String}
+	*@private
+	*/
+	setupFailure: null,
+
+	/** Whether the setup and teardown features are evaluated in the current evaluation, i.e. whether any feature is not skipped beforehand.
+	*@type	{Boolean}
+	*@private
+	*/
+	hooksEvaluated: false,
 	
 	/** Index of the currently evaluated feature.
 	*@type	{integer}
@@ -37,6 +91,13 @@ var Runner = new Class( /** @lends Runner# */ {
 	*/
 	loading: false,
 
+	/** Whether the current evaluation has been cancelled, in which case nothing else should be evaluated.
+	*@type	{Boolean}
+	*@see	#cancel
+	*@private
+	*/
+	cancelled: false,
+
 	/** The promise controller (deferred object) for results, resolved when all features of this Runner have been evaluated.
 	*@type	{q.deferred}
 	*@private
@@ -49,7 +110,13 @@ var Runner = new Class( /** @lends Runner# */ {
 	* A `Runner` is mostly set up through a configuration object.
 	* Such an object should contain the following items:
 	*	- `baseURL`: the URL at which the driver should start;
-	*	- `driverCapabilities`: an object that will be passed straight to the WebDriver instance.
+	*	- `driverCapabilities`: an object that will be passed straight to the WebDriver instance;
+	*	- `name`: optional, a human-readable name for the evaluated set of features, used by views;
+	*	- `browser`: optional, a human-readable name for the browser described by `driverCapabilities`, used by views to tell apart evaluations of the same features in different browsers;
+	*	- `artifactsDir`: optional, the directory in which to save screenshots and page sources of failed features;
+	*	- `reloadOnRetry`: optional, whether to load the `baseURL` again before evaluating anew a feature that did not succeed (see `Feature#retries`);
+	*	- `resetOnTimeout`: optional, whether to restart the browser after a feature timed out (see `Feature#test`), since it may be stuck on a command that never completes. It can not be set if other Runners evaluate features at the same time (see `#resetDriver`);
+	*	- `concurrency`: optional, the number of Runners that may evaluate features at the same time, as set by the Orchestrator. Defaults to 1.
 	*
 	*@constructs
 	*@param	{Object}	config	A configuration object, as defined above.
@@ -80,6 +147,9 @@ var Runner = new Class( /** @lends Runner# */ {
 		if (typeof config.baseURL != 'string')
 			return new Error('The given base URL ("' + config.baseURL + '") is unreadable');
 
+		if (config.resetOnTimeout && config.concurrency > 1)
+			return new Error('Browsers can not be restarted after a timeout ("resetOnTimeout") when several suites are evaluated at the same time ("concurrency" is ' + config.concurrency + '), since all browsers share the commands queue that has to be emptied');
+
 		return null;
 	},
 
@@ -144,14 +214,88 @@ var Runner = new Class( /** @lends Runner# */ {
 	/** Adds the given Feature to the list of those that this Runner will evaluate.
 	*
 	*@param	{Feature}	feature	A Feature for this Runner to evaluate.
+	*@param	{String}	[skipReason]	If given, the feature will not be evaluated, but reported as skipped for this reason.
 	*@return	This Runner, for chaining.
 	*/
-	addFeature: function addFeature(feature) {
+	addFeature: function addFeature(feature, skipReason) {
+		if (skipReason)
+			this.skipReasons[this.features.length] = skipReason;
+
 		this.features.push(feature);
 		
 		return this;
 	},
 	
+	/** Orders features so that each one is evaluated after the features it requires, keeping the order in which they were added otherwise.
+	*
+	*@return	This Runner, for chaining.
+	*@throws	{Error}	If features require each other circularly.
+	*@see	Feature#requires
+	*/
+	orderFeatures: function orderFeatures() {
+		var features = this.features,
+			skipReasons = this.skipReasons,
+			ordered = [],
+			orderedSkipReasons = [],
+			path = [];	// features being visited, to detect cycles
+
+		var visit = function visit(feature) {
+			if (ordered.contains(feature))
+				return;
+
+			if (path.contains(feature)) {
+				var cycle = path.slice(path.indexOf(feature)).concat(feature);
+
+				throw new Error('Features require each other circularly: "' + cycle.map(function(feature) {
+					return feature.description;
+				}).join('" → "') + '"');
+			}
+
+			path.push(feature);
+
+			feature.requires.forEach(function(prerequisite) {
+				if (features.contains(prerequisite))	// prerequisites that are not part of this evaluation are ignored
+					visit(prerequisite);
+			});
+
+			path.pop();
+
+			orderedSkipReasons[ordered.length] = skipReasons[features.indexOf(feature)];
+			ordered.push(feature);
+		}
+
+		features.forEach(visit);
+
+		this.features = ordered;
+		this.skipReasons = orderedSkipReasons;
+
+		return this;
+	},
+
+	/** Sets the feature to evaluate before all others.
+	* If it fails, all other features are skipped instead of being evaluated, and "setupFailure" is emitted.
+	*
+	*@param	{Feature}	feature	The setup feature.
+	*@return	This Runner, for chaining.
+	*/
+	setSetup: function setSetup(feature) {
+		this.setup = feature;
+
+		return this;
+	},
+
+	/** Sets the feature to evaluate after all others, even if some of them, or the setup, failed.
+	* If it fails, "teardownFailure" is emitted.
+	*
+	*@param	{Feature}	feature	The teardown feature.
+	*@return	This Runner, for chaining.
+	*/
+	setTeardown: function setTeardown(feature) {
+		this.teardown = feature;
+
+		return this;
+	},
+	
 	/** Returns the WebDriver instance this Runner created for the current run.
 	*
 	*@return	WebDriver
@@ -159,6 +303,37 @@ var Runner = new Class( /** @lends Runner# */ {
 	getDriver: function getDriver() {
 		return this.driver;
 	},
+
+	/** Returns a human-readable name for this Runner, made of the suite name and, if set, the browser label.
+	*
+	*@return	{String}	For example, "DuckDuckGo (firefox)". May be empty if neither is set.
+	*/
+	getLabel: function getLabel() {
+		var result = this.config.name || '';
+
+		if (this.config.browser)
+			result += (result ? ' ' : '') + '(' + this.config.browser + ')';
+
+		return result;
+	},
+
+	/** Returns detailed results of the last evaluation.
+	* Each item of the returned array describes one evaluated feature, with the following keys:
+	*	- `feature`: the evaluated Feature;
+	*	- `status`: one of "success", "failure", "error" or "skipped";
+	*	- `failures`: an array of strings that describe reasons for failure;
+	*	- `errors`: an array of errors that arose when trying to evaluate the feature;
+	*	- `duration`: evaluation time of the feature, in milliseconds, including all its attempts;
+	*	- `attempts`: number of times the feature was evaluated, more than 1 if it was retried (see `Feature#retries`), 0 if it was skipped;
+	*	- `browser`: the label of the browser in which the feature was evaluated, or `null` if none was set;
+	*	- `reason`: for skipped features only, the reason why the feature was not evaluated.
+	* Setup and teardown features are not part of these results.
+	*
+	*@return	{Array.<Object>}	Results, in evaluation order.
+	*/
+	getResults: function getResults() {
+		return this.results;
+	},
 	
 	/** Evaluates all features added to this Runner.
 	*
@@ -169,6 +344,15 @@ var Runner = new Class( /** @lends Runner# */ {
 		this.emit('beforeRun')
 
 		this.deferred = promises.defer();
+		this.cancelled = false;
+
+		try {
+			this.orderFeatures();
+		} catch (error) {
+			this.deferred.reject(error);
+			return this.deferred.promise;
+		}
+
 		if (this.ready) {
 			this.start();
 		} else {	// we already run before, or we just initialized
@@ -185,31 +369,132 @@ var Runner = new Class( /** @lends Runner# */ {
 		return this.deferred.promise;
 	},
 
-	/** Actually starts the evaluation process.
+	/** Actually starts the evaluation process, starting with the setup feature if there is one and any feature is to be evaluated.
+	* If all features are skipped, neither the setup nor the teardown feature is evaluated.
 	* Emits "run".
 	*@private
 	*/
 	start: function start() {
 		this.failures = Object.create(null);
+		this.results = [];
 		this.currentFeature = -1;
+		this.setupFailure = null;
+		this.hooksEvaluated = this.features.some(function(feature, index) { return ! this.skipReasons[index] }, this);
 
 		this.emit('run');
 
-		this.startNextFeature();
+		if (! this.hooksEvaluated)
+			return this.startNextFeature();
+
+		this.evaluateHook(this.setup, 'setup').then(function(reason) {
+			this.setupFailure = reason;
+			this.startNextFeature();
+		}.bind(this)).end();
 	},
 
-	/** Increments the feature index, starts evaluation of the next feature, and quits the driver if all features were evaluated.
+	/** Increments the feature index, starts evaluation of the next feature, and evaluates the teardown feature then quits the driver if all features were evaluated.
 	*
 	*@private
 	*/
 	startNextFeature: function startNextFeature() {
+		if (this.cancelled)
+			return;
+
 		this.currentFeature++;
 		
-		if (this.ready
-			&& this.currentFeature < this.features.length)
-			this.evaluateFeature(this.features[this.currentFeature]);
+		if (! this.ready)
+			return this.finish();
+
+		if (this.currentFeature >= this.features.length) {
+			return this.evaluateHook(this.hooksEvaluated && this.teardown, 'teardown').then(function() {
+				this.finish();
+			}.bind(this)).end();
+		}
+
+		var feature = this.features[this.currentFeature],
+			unmet = this.findUnmetPrerequisite(feature);
+
+		if (this.skipReasons[this.currentFeature])
+			this.skipFeature(feature, this.skipReasons[this.currentFeature]);
+		else if (this.setupFailure)
+			this.skipFeature(feature, 'setup "' + this.setup.description + '" failed');
+		else if (unmet)
+			this.skipFeature(feature, 'required feature "' + unmet.feature.description + '" ' + (unmet.status == 'skipped' ? 'was skipped' : 'failed'));
 		else
-			this.finish();
+			this.evaluateFeature(feature);
+	},
+
+	/** Finds a prerequisite of the given feature that did not succeed in the current evaluation.
+	* Prerequisites that are not part of this evaluation are not checked.
+	*
+	*@param	{Feature}	feature
+	*@return	{Object|null}	The result of the first prerequisite that failed, raised errors or was skipped, as described in `getResults`, or `null` if there is none.
+	*@private
+	*/
+	findUnmetPrerequisite: function findUnmetPrerequisite(feature) {
+		var unmet = this.results.filter(function(result) {
+			return feature.requires.contains(result.feature)
+				&& result.status != 'success';
+		});
+
+		return unmet[0] || null;
+	},
+
+	/** Evaluates the given setup or teardown feature.
+	* Emits "setupFailure" or "teardownFailure" if it fails, passing it the feature and an array of reasons, and marks the whole evaluation as failed.
+	*
+	*@param	{Feature}	[feature]	The feature to evaluate. If not set, nothing is evaluated.
+	*@param	{String}	type	Either "setup" or "teardown".
+	*@return	{Promise}	A promise that is never rejected, resolved with a description of the reason why the feature failed, or with `null` if it passed or was not set.
+	*@private
+	*/
+	evaluateHook: function evaluateHook(feature, type) {
+		if (! feature)
+			return promises.resolve(null);
+
+		var deferred = promises.defer(),
+			fail = function(report) {
+				var reasons = report.failures.concat(report.errors).map(function(problem) {
+					return problem.message || String(problem);
+				});
+
+				this.failures[feature] = report;
+				this.emit(type + 'Failure', feature, reasons);
+
+				deferred.resolve(reasons.join('; '));
+			}.bind(this);
+
+		try {
+			feature.test().then(deferred.resolve.bind(deferred, null), fail);
+		} catch (error) {
+			fail({ failures: [], errors: [ error ] });
+		}
+
+		return deferred.promise;
+	},
+
+	/** Reports the given feature as skipped, and starts the next one.
+	* Emits "featureSkip".
+	*
+	*@param	{Feature}	feature	The feature that will not be evaluated.
+	*@param	{String}	reason	A human-readable description of the reason why the feature is skipped.
+	*@private
+	*/
+	skipFeature: function skipFeature(feature, reason) {
+		this.results.push({
+			feature:	feature,
+			status:		'skipped',
+			failures:	[],
+			errors:		[],
+			duration:	0,
+			attempts:	0,
+			browser:	this.config.browser || null,
+			reason:		reason
+		});
+
+		this.emit('featureSkip', feature, reason);
+
+		this.startNextFeature();
 	},
 	
 	/** Prepares and triggers the evaluation of the given feature.
@@ -218,10 +503,30 @@ var Runner = new Class( /** @lends Runner# */ {
 	*/
 	evaluateFeature: function evaluateFeature(feature) {
 		this.emit('featureStart', feature);
-		
+
+		this.featureStartTime = Date.now();
+		this.attempts = 0;
+
+		this.attemptFeature(feature);
+	},
+
+	/** Evaluates the given feature once more.
+	*
+	*@private
+	*/
+	attemptFeature: function attemptFeature(feature) {
+		if (this.cancelled)	// the base page may have been reloaded after cancellation
+			return;
+
+		this.attempts++;
+
 		try {
-			feature.test().then(this.handleFeatureResult.bind(this, feature, true),
-								this.handleFeatureResult.bind(this, feature)); // leave last arg to pass failure description
+			feature.test().then(this.handleFeatureResult.bind(this, feature, true), function(message) {
+				if (message.timedOut && this.config.resetOnTimeout)
+					this.resetDriver(this.handleFeatureResult.bind(this, feature, message));
+				else
+					this.handleFeatureResult(feature, message);
+			}.bind(this));
 		} catch (error) {
 			this.handleError(error);
 		}
@@ -229,25 +534,149 @@ var Runner = new Class( /** @lends Runner# */ {
 	
 	/** Callback handler upon feature evaluation. Emits events and calls the `startNextFeature` handler.
 	* Emits "featureSuccess", "featureError", "featureFailure".
+	* Failure and error events are emitted only once artifacts have been captured, and are passed them as their last parameter.
+	* A feature that did not succeed is evaluated again instead, as long as it has retries left, unless it timed out and its browser was not restarted.
 	*
 	*@private
 	*@see	#startNextFeature
+	*@see	#captureArtifacts
+	*@see	#retryFeature
 	*/
 	handleFeatureResult: function handleFeatureResult(feature, message) {
+		if (this.cancelled)	// the feature may end after cancellation, for example once its browser has been restarted
+			return;
+
+		var stuck = (message !== true && message.timedOut && ! this.config.resetOnTimeout);	// the browser may still be busy with a command that never completes
+
+		if (message !== true && this.attempts <= feature.retries && ! stuck)
+			return this.retryFeature(feature, message);
+
+		var result = {
+			feature:	feature,
+			status:		'success',
+			failures:	[],
+			errors:		[],
+			duration:	Date.now() - this.featureStartTime,
+			attempts:	this.attempts,
+			browser:	this.config.browser || null
+		};
+
+		this.results.push(result);
+
 		if (message === true) {
 			this.emit('featureSuccess', feature);
-		} else {
-			if (message.errors.length > 0) {
-				this.emit('featureError', feature, message.errors);
-			} else {
-				this.emit('featureFailure', feature, message.failures);
-			}
+			return this.startNextFeature();
+		}
+
+		result.failures = message.failures;
+		result.errors = message.errors;
+		result.status = (message.errors.length > 0 ? 'error' : 'failure');
+
+		this.failures[feature] = message;
+		this.failed = true;
+
+		var artifacts = (message.timedOut
+						 ? promises.resolve(null)	// the browser has either been restarted, leaving nothing to document, or is stuck, in which case capturing would never complete
+						 : this.captureArtifacts(feature));
 
-			this.failures[feature] = message;
-			this.failed = true;
+		artifacts.then(function(artifacts) {
+			result.artifacts = message.artifacts = artifacts;
+
+			if (result.status == 'error')
+				this.emit('featureError', feature, message.errors, artifacts);
+			else
+				this.emit('featureFailure', feature, message.failures, artifacts);
+
+			this.startNextFeature();
+		}.bind(this)).end();
+	},
+
+	/** Evaluates anew the given feature, which did not succeed, after loading the base page again if the `reloadOnRetry` configuration key is set.
+	* Emits "featureRetry", passing it the feature, the number of the failed attempt and an array of reasons for its failure.
+	* If the base page can not be loaded, the error counts as a failed attempt.
+	*
+	*@param	{Feature}	feature	The feature to evaluate again.
+	*@param	{Object}	message	The failure description of the last attempt, with `failures` and `errors` arrays.
+	*@private
+	*/
+	retryFeature: function retryFeature(feature, message) {
+		var reasons = message.failures.concat(message.errors).map(function(problem) {
+			return problem.message || String(problem);
+		});
+
+		this.emit('featureRetry', feature, this.attempts, reasons);
+
+		if (! this.config.reloadOnRetry)
+			return this.attemptFeature(feature);
+
+		this.driver.get(this.config.baseURL).then(this.attemptFeature.bind(this, feature), function(error) {
+			this.attempts++;
+			this.handleFeatureResult(feature, { failures: [], errors: [ error ] });
+		}.bind(this));
+	},
+
+	/** Quits the browser without waiting for it, and starts a new one.
+	* Commands still scheduled for the previous browser, such as the one a timed out feature is stuck on, are dropped.
+	* All drivers share a single control flow, in which each command waits for the previous one, whatever its driver. The stuck command would thus block the new browser too, so the whole flow has to be emptied, dropping the commands of any other Runner. This is why restarting browsers is refused when several Runners may evaluate features at the same time (see `#findConfigError`).
+	*
+	*@param	{Function}	callback	Called once the new browser has loaded the base page.
+	*@private
+	*/
+	resetDriver: function resetDriver(callback) {
+		Runner.abortCommands();
+
+		this.killDriver().then(null, function() {});	// the previous browser may not respond anymore
+		this.once('ready', callback);
+		this.initDriver();
+	},
+
+	/** Saves a screenshot, the page source, and the current URL and title of the browser, so that the failure of the given feature can be investigated after the run.
+	* Files are saved in a directory named after the suite and the feature, inside the one given by the `artifactsDir` configuration key.
+	*
+	*@param	{Feature}	feature	The feature whose failure should be documented.
+	*@return	{Promise}	A promise that is never rejected, resolved with a hash mapping `screenshot`, `source` and `page` to the paths of the saved files, or with `null` if no artifact could be saved.
+	*@private
+	*/
+	captureArtifacts: function captureArtifacts(feature) {
+		if (! this.config.artifactsDir || ! this.driver)
+			return promises.resolve(null);
+
+		var deferred = promises.defer(),
+			driver = this.driver,
+			directory = pathsUtils.join(this.config.artifactsDir,
+										toFileName(this.getLabel() || 'suite'),
+										toFileName(feature.description)),
+			artifacts = {
+				screenshot:	pathsUtils.join(directory, 'screenshot.png'),
+				source:		pathsUtils.join(directory, 'source.html'),
+				page:		pathsUtils.join(directory, 'page.json')
+			},
+			page = {},
+			fail = deferred.resolve.bind(deferred, null);
+
+		try {
+			makeDirectory(directory);
+		} catch (error) {
+			fail();
+			return deferred.promise;
 		}
 
-		this.startNextFeature();
+		driver.takeScreenshot().then(function(screenshot) {
+			fs.writeFileSync(artifacts.screenshot, screenshot, 'base64');
+			return driver.getPageSource();
+		}).then(function(source) {
+			fs.writeFileSync(artifacts.source, source);
+			return driver.getCurrentUrl();
+		}).then(function(url) {
+			page.url = url;
+			return driver.getTitle();
+		}).then(function(title) {
+			page.title = title;
+			fs.writeFileSync(artifacts.page, JSON.stringify(page, null, '\t'));
+			deferred.resolve(artifacts);
+		}).then(null, fail);
+
+		return deferred.promise;
 	},
 	
 	/** Informs of the end result and cleans up everything after tests runs.
@@ -286,12 +715,43 @@ var Runner = new Class( /** @lends Runner# */ {
 	},
 
 	/** Stops the current evaluation.
-	*@return	this	For chainability.
+	* The feature being evaluated does not evaluate any further step, and the browser is quit if the `quit` configuration key is set to "always". The promise for results is then rejected with an error.
+	* Commands already scheduled for the driver, such as the one a feature may be stuck on, are dropped. If several Runners may evaluate features at the same time (i.e. the `concurrency` configuration key is above 1), they are not, since they may belong to other Runners (see `Runner.abortCommands`), so the browser is quit only once they have completed.
+	* Features that end after cancellation are not reported.
+	*
+	*@return	{Promise}	A promise that is never rejected, resolved once everything has stopped.
 	*/
 	cancel: function cancel() {
+		var deferred = promises.defer(),
+			results = this.deferred;
+
+		this.cancelled = true;
 		this.removeListener('ready', this.start);
-		this.handleError(new Error('Evaluation was cancelled'));
-		return this;	//TODO: should return a promise for cancellation, since the current evaluated feature won't be stopped
+
+		if (! (this.config.concurrency > 1))
+			Runner.abortCommands();
+
+		[ this.setup, this.teardown ].concat(this.features).forEach(function(feature) {
+			if (feature)
+				feature.cancel();
+		});
+
+		this.loading = false;	// the base page will be loaded again on next run
+		this.markUsed();
+
+		var stopped = function stopped() {
+			if (results)
+				results.reject(new Error('Evaluation was cancelled'));
+
+			deferred.resolve();
+		}
+
+		if (this.config.quit == 'always')
+			this.killDriver().then(stopped, stopped);
+		else
+			stopped();
+
+		return deferred.promise;
 	},
 
 	/** Rejects the promise for results, passing it the given error, and quits the driver depending on the current automatic exit settings.
@@ -323,4 +783,41 @@ var Runner = new Class( /** @lends Runner# */ {
 	}
 });
 
+
+/** Drops all commands scheduled for all drivers, such as the ones a cancelled evaluation may be stuck on.
+* Since all drivers share a single control flow, this affects all Runners, and should be used only when no other evaluation can be affected: when all evaluations are being stopped, or when a single Runner evaluates features at a time.
+*
+*@see	#cancel
+*@see	#resetDriver
+*/
+Runner.abortCommands = function abortCommands() {
+	webdriver.promise.Application.getInstance().reset();
+}
+
+
+/** Transforms the given string so that it can safely be used as a file name.
+*@param	{String}	name
+*@return	{String}
+*@private
+*/
+function toFileName(name) {
+	return String(name).replace(/[^\w\-.]+/g, '_');
+}
+
+/** Creates the given directory, along with all its missing parents.
+*@param	{String}	path
+*@throws	{Error}	If the directory could not be created.
+*@private
+*/
+function makeDirectory(path) {
+	path = pathsUtils.resolve(path);
+
+	if ((fs.existsSync || pathsUtils.existsSync)(path))	// Node 0.6 compatibility
+		return;
+
+	makeDirectory(pathsUtils.dirname(path));
+	fs.mkdirSync(path);
+}
+
+
 module.exports = Runner;	// CommonJS export
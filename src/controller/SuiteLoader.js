@@ -1,11 +1,14 @@
 var fs = require('fs'),
 	pathsUtils = require('path'),
-	vm = require('vm');
+	vm = require('vm'),
+	promises = require('q');
 	
 var logger = require('winston').loggers.get('steps'),
 	suitesLogger = require('winston').loggers.get('suites'),
 	ConfigLoader = require('mattisg.configloader');
 
+var Gherkin = require('../lib/gherkin');
+
 var Widget = require('../model/Widget'),
 	Feature = require('../model/Feature'),
 	Runner = require('./Runner');
@@ -32,26 +35,112 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 	*/
 	context: null,
 	
-	/** List of all loaded features.
-	* This array will act as a bridge between this execution context and the loading context: upon loading (in a different context), features are referenced inside this array, hence making them available in _this_ context.
+	/** Hash of all loaded widgets, indexed on their names.
+	* This hash acts as a bridge between this execution context and the loading context: upon loading (in a different context), widgets are referenced inside this hash, hence making them available to features instantiated in _this_ context.
+	*
+	*@type	{Object.<String, Widget>}
+	*@private
+	*/
+	widgets: null,
+
+	/** Definitions of the steps that Gherkin features may use, in order of definition.
+	* Each item is a hash with a `source` key, holding the pattern as written in the definition file, a `pattern` key, holding the matching RegExp, and a `build` key, holding the function that creates the matching scenario items.
 	*
+	*@type	{Array.<Object>}
+	*@see	#loadStepDefinitions
+	*@private
+	*/
+	stepDefinitions: null,
+
+	/** All features loaded from each feature description file, indexed on the name of the file without its extension.
+	*@type	{Object.<String, Array.<Feature>>}
+	*@see	#resolveRequirements
+	*@private
+	*/
+	featuresByFile: null,
+
+	/** Requirements declared by loaded features, to be resolved once all features are loaded.
+	* Each item is a hash with a `feature` key, holding the requiring Feature, a `file` key, holding the path to its description file, and a `names` key, holding the names of the required feature files.
+	*@type	{Array.<Object>}
+	*@see	#resolveRequirements
+	*@private
+	*/
+	requirements: null,
+
+	/** When this suite is to be evaluated in several browsers, the browsers to evaluate it in, as listed by `listBrowsers`.
+	*@type	{Array.<Object>}
+	*@see	#initialize
 	*@private
 	*/
-	features: [],
+	browsers: null,
+
+	/** When this suite is to be evaluated in several browsers, one SuiteLoader per browser, to which all evaluation is delegated.
+	* They are created only when their browser is about to be evaluated, so that no browser is opened before it is needed.
+	*@type	{Array.<SuiteLoader>}
+	*@see	#run
+	*@private
+	*/
+	loaders: null,
+
+	/** When this suite is to be evaluated in several browsers, the options this SuiteLoader was given, to pass them to the SuiteLoader of each browser.
+	*@type	{Object}
+	*@private
+	*/
+	options: null,
+
+	/** Whether the evaluation of this suite in several browsers has been cancelled, in which case browsers that were not evaluated yet should not be.
+	*@type	{Boolean}
+	*@see	#cancel
+	*@private
+	*/
+	cancelled: false,
+
+	/** Views presenting the evaluation of this suite, as listed in the `views` configuration key.
+	*@type	{Array.<Object>}
+	*@see	#getViews
+	*@private
+	*/
+	views: null,
+
+	/** Options given to all widgets of this suite: rules generating magic methods from element names, and whether elements are cached.
+	*@type	{Object}
+	*@see	Widget#initialize
+	*@private
+	*/
+	widgetOptions: null,
 	
 	/**@class A SuiteLoader handles all test description files loading and Runner setup.
 	* A test description folder should contain a `config` file, and any number of feature (`*Feature.js`) and widget (`*Widget.js`) description files.
+	* Features may also be written in Gherkin (`*.feature`), in which case their steps are mapped onto widgets by step definition files (`*Steps.js`).
+	* Feature description files are loaded in alphabetical order, and features are evaluated in that order, except that a feature declaring other feature files in its `requires` array (such as `requires: [ 'LoginFeature' ]`) is evaluated after them, and skipped if any of them does not succeed.
+	* A `Setup.js` file and a `Teardown.js` file, in the same format as feature description files, may describe what to do before and after all features, such as logging in and out. If the setup fails, all features are skipped. Feature description files may also have `before` and `after` scenarios, evaluated around their own scenario.
 	*
 	* _Since we're currently in high-speed iterative development, hence without formal documentation, see the `example` folder for more information on how to write such files._
 	*
 	* Features will be loaded in an internally-managed Runner, and all Widgets, Features and datasets will be made available in an internally-managed VM context (i.e. every definition is made in isolation).
 	*
+	* A configuration may define named environments in its `environments` hash, each overriding any configuration key, such as `baseURL`, `driverCapabilities`, or `data`, whose values are made available as global variables to features and override those of data files. The environment to use is given by the `env` configuration key or, if not set, by the `WATAI_ENV` environment variable, which suites that define no environments ignore.
+	*
+	* Widgets generate magic methods from the names of their elements, such as `login()` for `loginLink`. A configuration may add its own naming rules, or replace default ones, in its `magic` hash (see `Widget.buildMagic`).
+	*
+	* Features that fail or raise errors may be evaluated again before being reported as such, as many times as given by the `retries` configuration key or by the `retries` key of their description file. If the `reloadOnRetry` configuration key is set, the `baseURL` is loaded again before each new attempt.
+	*
+	* State descriptions are retried until they match, for at most as many seconds as given by the `assertionTimeout` configuration key or by the `assertionTimeout` key of their feature description file, unless they set their own `timeout` key. The `timeout` configuration key only sets how long the browser waits for missing elements to appear.
+	*
+	* So that a step that never completes can not stall the whole evaluation, the `stepTimeout` and `featureTimeout` configuration keys, or the keys of the same names in feature description files, limit how long a single step and a whole feature may take, in seconds. A feature that exceeds them is reported as an error, and the browser is restarted before going on if the `resetOnTimeout` configuration key is set. Since restarting a browser drops the commands scheduled for all others, this key can not be set if several suites are evaluated at the same time.
+	*
+	* Widget elements are looked up once per feature step and action rather than on every access. Setting the `cacheElements` configuration key to `false` disables this cache.
+	*
+	* A suite may be evaluated in several browsers, by setting the `driverCapabilities` configuration key to an array of capabilities, or by listing names of the `browserProfiles` hash in the `browsers` key. In that case, one SuiteLoader is created per browser, each with its own Runner and VM context, and this one delegates evaluation to them. Each of them is created only once the previous browser has been evaluated, so that a single browser is opened at a time, with exactly the capabilities of its profile.
+	*
 	*@constructs
 	*@param	path	Path to the folder containing a test description. Trailing slashes will be normalized, don't worry about them  :)
+	*@param	{Object}	[options]	Configuration values that override the ones loaded from `config` files (typically, CLI options).
+	*@param	{Object}	[browser]	For internal use: the browser to evaluate the suite in, as listed by `listBrowsers`, when this SuiteLoader is one of those evaluating a suite in several browsers.
 	*
 	*@see	http://nodejs.org/api/vm.html
 	*/
-	initialize: function init(path) {
+	initialize: function init(path, options, browser) {
 		this.path = pathsUtils.resolve(path) + '/';	//TODO: Node 0.8 has path.sep
 		
 		this.name = pathsUtils.basename(path, '/');	// remove a possible trailing separator
@@ -62,7 +151,24 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 			observer: suitesLogger.silly
 		});
 		
-		var config = loader.load(SuiteLoader.paths.config);
+		var config = loader.load(SuiteLoader.paths.config),
+			env = (options && options.env) || config.env || (config.environments && process.env[SuiteLoader.envVariable]);	// the variable applies to all suites evaluated from the same shell, so suites that define no environments ignore it
+
+		if (env) {
+			if (! config.environments || ! config.environments[env]) {
+				var msg = 'Unknown environment "' + env + '". Known environments are: ' + (Object.keys(config.environments || {}).join(', ') || 'none') + '.';
+				logger.error(msg);
+				throw new Error(msg);
+			}
+
+			config = Object.merge(config, config.environments[env]);
+			config.env = env;
+		}
+
+		if (options)
+			config = Object.merge(config, options);
+
+		config.name = this.name;
 
 		if (! config.baseURL) {
 			var msg = 'No baseURL was found in any "' + SuiteLoader.paths.config + '" file in directories above "' + this.path + '"';
@@ -70,11 +176,45 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 			throw new Error(msg);
 		}
 		
+		this.config = config;
+		this.views = loadViews(config.views);
+
+		var browsers = (browser ? [ browser ] : listBrowsers(config));
+
+		if (browsers.length > 1) {
+			this.options = options;
+			this.browsers = browsers;
+			this.loaders = [];
+
+			return;
+		}
+
+		config.driverCapabilities = browsers[0].capabilities;	// replace rather than merge, so that capabilities of the base configuration do not leak into the browser's
+		config.browser = browsers[0].label;
+
+		this.widgetOptions = {
+			magic:			Widget.buildMagic(config.magic),
+			cacheElements:	config.cacheElements !== false
+		};
 		this.runner = new Runner(config);
 		this.attachViewsTo(this.runner);
+		this.widgets = {};
+		this.stepDefinitions = [];
+		this.featuresByFile = {};
+		this.requirements = [];
 		this.context = vm.createContext(this.buildContext());
-		
-		fs.readdir(this.path, this.loadAllFiles.bind(this));
+
+		try {	// load synchronously, so that loading errors are thrown to the caller instead of crashing the process
+			this.loadAllFiles(fs.readdirSync(this.path));
+		} catch (error) {
+			var name = this.name;
+
+			this.runner.killDriver().then(null, function(quitError) {	// nothing was evaluated in the browser, so there is nothing to inspect
+				suitesLogger.error('Could not quit the browser of suite "' + name + '" after it failed to load: ' + (quitError.message || quitError));
+			});
+
+			throw error;
+		}
 	},
 	
 	/** Generates the list of variables that will be offered globally to Widgets, Features and Data elements.
@@ -92,54 +232,87 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 			driver: this.runner.getDriver()
 		}
 		
-		result[SuiteLoader.contextGlobals.featuresList] = this.features;	// hook to pass instantiated features to this context
-		result[SuiteLoader.contextGlobals.widgetsList] = {};	// stays in the managed context, but necessary for features to have a reference to all widgets, since they are evaluated in _this_ context, not their instanciation one…
+		result[SuiteLoader.contextGlobals.widgetsList] = this.widgets;	// hook to pass instantiated widgets to this context, in which features are instantiated
+
+		result[SuiteLoader.contextGlobals.widgetOptions] = this.widgetOptions;
 			
 		result[SuiteLoader.contextGlobals.logger] = logger.info; // this has to be passed, for simpler access, but mostly because the `console` module is not automatically loaded
 
 		result[SuiteLoader.contextGlobals.assert] = require('assert');
+		result[SuiteLoader.contextGlobals.helpers] = Object.append({ expect: Feature.expect }, Feature.markers);	// shallow copy: markers are compared by identity, so the same objects have to be shared between contexts
 		result[SuiteLoader.contextGlobals.storage] = Object.create(null);
+		result[SuiteLoader.contextGlobals.example] = {};
 		
 		return result;
 	},
 	
-	/** Callback handler after `readdir`ing the test description directory.
+	/** Loads all description files found in the test description directory, and checks that the requirements between features can be satisfied.
 	*
-	*@param	{Error}	err	An optional error object (to be used as callback).
 	*@param	{Array.<String>}	files	Array of file paths to examine.
+	*@throws	{Error}	If a description file can not be loaded, or if features have missing or circular requirements.
 	*
-	*@see	http://nodejs.org/api/fs.html#fs_fs_readdir_path_callback
+	*@see	http://nodejs.org/api/fs.html#fs_fs_readdirsync_path
 	*@private
 	*/
-	loadAllFiles: function loadAllFiles(err, files) {
-		if (err) {
-			suitesLogger.error('Error while trying to load description files in "' + this.path + '"!', { path: this.path });
-			throw err;
-		}
-		
+	loadAllFiles: function loadAllFiles(files) {
 		var featureFiles = [],
-			widgetFiles = [];
-		files.forEach(function(file) {
-			if (file.contains(SuiteLoader.paths.dataMarker))
+			widgetFiles = [],
+			stepsFiles = [],
+			hookFiles = {};
+		files.sort().forEach(function(file) {	// `readdir` does not guarantee any order
+			if (file == SuiteLoader.paths.setup)
+				hookFiles.Setup = this.path + file;	// don't load them immediately in order to make referenced widgets available first
+			else if (file == SuiteLoader.paths.teardown)
+				hookFiles.Teardown = this.path + file;
+			else if (file.contains(SuiteLoader.paths.dataMarker))
 				this.loadData(this.path + file);
 			else if (file.contains(SuiteLoader.paths.widgetMarker))
 				widgetFiles.push(this.path + file);	// don't load them immediately in order to make referenced data values available first
-			else if (file.contains(SuiteLoader.paths.featureMarker))
-				featureFiles.push(this.path + file);	// don't load them immediately in order to make referenced widgets available first
+			else if (file.contains(SuiteLoader.paths.stepsMarker))
+				stepsFiles.push(this.path + file);	// don't load them immediately in order to make referenced widgets available first
+			else if (file.contains(SuiteLoader.paths.featureMarker)
+					 || pathsUtils.extname(file) == SuiteLoader.paths.gherkinExtension)
+				featureFiles.push(this.path + file);	// don't load them immediately in order to make referenced widgets and steps available first
 		}, this);
 		
-		widgetFiles.forEach(this.loadWidget.bind(this));		
-		featureFiles.forEach(this.loadFeature.bind(this));
+		this.loadConfigData();
+
+		widgetFiles.forEach(this.loadWidget.bind(this));
+		stepsFiles.forEach(this.loadStepDefinitions.bind(this));
+		Object.each(hookFiles, this.loadHook, this);
+		featureFiles.forEach(function(featureFile) {
+			if (pathsUtils.extname(featureFile) == SuiteLoader.paths.gherkinExtension)
+				this.loadGherkinFeature(featureFile);
+			else
+				this.loadFeature(featureFile);
+		}, this);
+
+		this.resolveRequirements(featureFiles);
+		this.runner.orderFeatures();	// detect circular requirements upon loading
 	},
 
+	/** Subscribes all views of this suite to the given Runner's events.
+	*
+	*@param	{Runner}	runner	The Runner whose events should be presented.
+	*@see	#getViews
+	*@private
+	*/
 	attachViewsTo: function attachViewsTo(runner) {
-		Object.each(require('../view/RunnerCLI'), function(handler, eventType) {
-			runner.on(eventType, handler);
+		this.views.each(function(view) {
+			Object.each(view, function(handler, eventType) {
+				runner.on(eventType, handler);
+			});
 		});
+	},
 
-		Object.each(require('../view/RunnerGrowl'), function(handler, eventType) {
-			runner.on(eventType, handler);
-		});
+	/** Returns the views presenting the evaluation of this suite, as listed in the `views` configuration key.
+	* A view named `X` is defined in the `view/RunnerX` module, as a hash mapping Runner event types to handlers. It may also handle the "end" event of the Orchestrator evaluating the suite, for example to output a report once all suites have been evaluated.
+	*
+	*@return	{Array.<Object>}
+	*@see	Orchestrator#run
+	*/
+	getViews: function getViews() {
+		return this.views;
 	},
 	
 	/** Loads the given definitions globally into this Loader's managed namespace.
@@ -164,6 +337,20 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 		return this;
 	},
 	
+	/** Defines all values of the `data` configuration hash as global variables in this Loader's managed namespace.
+	* Since this is done after data files have been loaded, such values override the ones of data files, which allows environments to override them.
+	*
+	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
+	*@see	#loadAllFiles
+	*/
+	loadConfigData: function loadConfigData() {
+		Object.each(this.config.data || {}, function(value, key) {
+			this.context[key] = value;
+		}, this);
+
+		return this;
+	},
+
 	/** Loads the given file as a widget globally into this Loader's managed namespace.
 	*
 	*@param	widgetFile	Path to a widget description file. See examples to see how such a file should be written.
@@ -181,7 +368,7 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 							+ '__widgets__["' + widgetName + '"] = '
 							+ 'new Widget("' + widgetName + '",'
 							+ fs.readFileSync(widgetFile) + ','
-							+ 'driver);',
+							+ 'driver, ' + SuiteLoader.contextGlobals.widgetOptions + ');',
 							this.context,
 							widgetFile);
 		} catch (error) {
@@ -193,6 +380,10 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 	},
 	
 	/** Loads the given file as a feature into this SuiteLoader's underlying runner.
+	* The description file is evaluated in this Loader's managed namespace, but the Feature is instantiated in _this_ context.
+	*
+	* If the description file has an `examples` key, one Feature is created for each of its rows. The file is then evaluated once per row, with the row offered as the `example` global variable, and `{name}` placeholders in the description are replaced by the matching values of the row.
+	* The `examples` key may be an array of hashes, or the path to a JSON file containing such an array, relative to the suite folder.
 	*
 	*@param	featureFile	Path to a feature description file. See examples to see how such a file should be written.
 	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
@@ -203,37 +394,536 @@ var SuiteLoader = new Class( /** @lends SuiteLoader# */ {
 		logger.verbose('+ loading ' + featureFile);
 		
 		try {
-			vm.runInContext('var featureContents = ' + fs.readFileSync(featureFile) + ';'
-							+ '__features__.push(new Feature('
-							+								 'featureContents.description,'
-							+								 'featureContents.scenario,'
-							+								 '__widgets__'
-							+ '));',
-							this.context,
-							featureFile);
+			var featureContents = this.evaluateFeature(featureFile),
+				examples = this.loadExamples(featureContents.examples);
+
+			if (! examples)
+				return this.addFeature(featureFile, featureContents);
+
+			examples.forEach(function(example, index) {
+				logger.verbose('  with example ' + (index + 1) + ' of ' + examples.length);
+
+				var exampleContents = this.evaluateFeature(featureFile, example);
+
+				exampleContents.description = String(exampleContents.description).substitute(example);
+
+				this.addFeature(featureFile, exampleContents);
+			}, this);
 		} catch (error) {
 			suitesLogger.error('**Error in file "' + featureFile + '"**', { path: featureFile });
 			throw error;
+		} finally {
+			this.context[SuiteLoader.contextGlobals.example] = {};
 		}
 		
-		this.runner.addFeature(this.features.pop());
-		
 		return this;
 	},
+
+	/** Loads the given setup or teardown description file into this SuiteLoader's underlying runner.
+	* Such a file has the same format as a feature description file. If it has no description, it is named after its type.
+	*
+	*@param	hookFile	Path to the description file.
+	*@param	{String}	type	Either "Setup" or "Teardown".
+	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
+	*
+	*@see	Runner#setSetup
+	*@see	Runner#setTeardown
+	*@see	#loadAllFiles
+	*/
+	loadHook: function loadHook(hookFile, type) {
+		logger.verbose('+ loading ' + hookFile);
+
+		try {
+			var contents = this.evaluateFeature(hookFile);
+
+			this.runner['set' + type](new Feature(contents.description || type,
+												   contents.scenario,
+												   this.widgets,
+												   this.buildFeatureOptions(contents)));
+		} catch (error) {
+			suitesLogger.error('**Error in file "' + hookFile + '"**', { path: hookFile });
+			throw error;
+		}
+
+		return this;
+	},
+
+	/** Loads the given step definitions file into this SuiteLoader, for Gherkin features to use.
+	* Such a file is evaluated in this Loader's managed namespace, and should contain a hash mapping step patterns to functions. A pattern is a regular expression that should match the whole text of a step, without its keyword. The matching function is passed the captured groups, followed by the data table of the step if there is one, and should return an array of scenario items, as in feature description files.
+	*
+	*@example
+	*	{
+	*		'I search for "(.+)"': function(term) {
+	*			return [ SearchBarWidget.searchFor, term ];
+	*		}
+	*	}
+	*
+	*@param	stepsFile	Path to a step definitions file.
+	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
+	*
+	*@see	#loadAllFiles
+	*@see	#loadGherkinFeature
+	*/
+	loadStepDefinitions: function loadStepDefinitions(stepsFile) {
+		logger.verbose('* loading ' + stepsFile);
+
+		try {
+			var definitions = vm.runInContext('(' + fs.readFileSync(stepsFile) + ')',
+											  this.context,
+											  stepsFile);
+
+			Object.each(definitions, function(build, source) {
+				this.stepDefinitions.push({
+					source:		source,
+					pattern:	new RegExp('^(?:' + source + ')$'),
+					build:		build
+				});
+			}, this);
+		} catch (error) {
+			suitesLogger.error('**Error in file "' + stepsFile + '"**', { path: stepsFile });
+			throw error;
+		}
+
+		return this;
+	},
+
+	/** Loads the given Gherkin file into this SuiteLoader's underlying runner, as one Feature per scenario.
+	* Steps are mapped onto scenario items through the loaded step definitions. All steps of the file are checked before any feature is added, and all undefined steps are reported at once.
+	*
+	*@param	featureFile	Path to a Gherkin feature file.
+	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
+	*@throws	{Error}	If some steps are undefined or ambiguous, listing them with their line numbers.
+	*
+	*@see	#loadStepDefinitions
+	*/
+	loadGherkinFeature: function loadGherkinFeature(featureFile) {
+		logger.verbose('+ loading ' + featureFile);
+
+		try {
+			var parsed = Gherkin.parse(fs.readFileSync(featureFile, 'utf8')),
+				problems = [];
+
+			var featuresContents = parsed.scenarios.map(function(scenario) {
+				var items = [];
+
+				scenario.steps.forEach(function(step) {
+					try {
+						items.append(this.resolveStep(step));
+					} catch (error) {
+						problems.push(error.message);
+					}
+				}, this);
+
+				return {
+					description:	scenario.name,
+					scenario:		items,
+					tags:			scenario.tags
+				}
+			}, this);
+
+			if (problems.length > 0)
+				throw new Error('Could not map some steps of "' + featureFile + '" onto step definitions:\n\t' + problems.join('\n\t'));
+
+			featuresContents.forEach(this.addFeature.bind(this, featureFile));
+		} catch (error) {
+			suitesLogger.error('**Error in file "' + featureFile + '"**', { path: featureFile });
+			throw error;
+		}
+
+		return this;
+	},
+
+	/** Finds the step definition that matches the given Gherkin step, and creates the matching scenario items.
+	*
+	*@param	{Object}	step	A step, as parsed by `Gherkin.parse`.
+	*@returns	{Array}	Scenario items, as in feature description files.
+	*@throws	{Error}	If no step definition, or more than one, matches the given step.
+	*@private
+	*/
+	resolveStep: function resolveStep(step) {
+		var description = '"' + step.keyword + ' ' + step.text + '" (line ' + step.line + ')',
+			matching = this.stepDefinitions.filter(function(definition) {
+				return definition.pattern.test(step.text);
+			});
+
+		if (matching.length == 0)
+			throw new Error('Undefined step ' + description);
+
+		if (matching.length > 1)
+			throw new Error('Ambiguous step ' + description + ', matching ' + matching.map(function(definition) { return '"' + definition.source + '"' }).join(', '));
+
+		var args = step.text.match(matching[0].pattern).slice(1);
+
+		if (step.table)
+			args.push(step.table);
+
+		var result = matching[0].build.apply(null, args);
+
+		return (Object.prototype.toString.call(result) == '[object Array]'	// may come from another context, so we can't rely on Array.isArray
+				? Array.prototype.slice.call(result)
+				: [ result ]);
+	},
+
+	/** Evaluates the given feature description file in this Loader's managed namespace.
+	*
+	*@param	featureFile	Path to a feature description file.
+	*@param	{Object}	[example]	A row of an examples table, to offer to the description as the `example` global variable.
+	*@returns	{Object}	The evaluated contents of the description file.
+	*@private
+	*/
+	evaluateFeature: function evaluateFeature(featureFile, example) {
+		this.context[SuiteLoader.contextGlobals.example] = example || {};
+
+		return vm.runInContext('(' + fs.readFileSync(featureFile) + ')',
+							   this.context,
+							   featureFile);
+	},
+
+	/** Normalizes the `examples` key of a feature description file.
+	*
+	*@param	{Array.<Object>|String}	[examples]	An array of rows, or the path to a JSON file containing one, relative to the suite folder.
+	*@returns	{Array.<Object>|null}	The rows of the examples table, or `null` if none was given.
+	*@throws	{Error}	If the examples are neither an array nor a path to a JSON array.
+	*@private
+	*/
+	loadExamples: function loadExamples(examples) {
+		if (! examples)
+			return null;
+
+		if (typeof examples == 'string')
+			examples = JSON.parse(fs.readFileSync(pathsUtils.resolve(this.path, examples), 'utf8'));
+
+		if (typeof examples.length != 'number')	// may come from another context, so we can't rely on Array.isArray
+			throw new Error('The "examples" key of a feature should be an array of rows, or the path to a JSON file containing one');
+
+		return Array.prototype.slice.call(examples);
+	},
+
+	/** Creates a Feature from the given evaluated description, and adds it to the underlying runner if it is selected for this evaluation.
+	*
+	*@param	featureFile	Path to the feature description file.
+	*@param	{Object}	featureContents	The evaluated contents of the description file.
+	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
+	*@private
+	*/
+	addFeature: function addFeature(featureFile, featureContents) {
+		if (! this.isSelected(featureFile, featureContents.description)) {
+			logger.verbose('  not selected, ignoring ' + featureContents.description);
+			return this;
+		}
+
+		var feature = new Feature(featureContents.description,
+								  featureContents.scenario,
+								  this.widgets,
+								  this.buildFeatureOptions(featureContents));
+
+		this.runner.addFeature(feature, this.getSkipReason(feature));
+
+		var fileName = getFeatureFileName(featureFile);
+		this.featuresByFile[fileName] = (this.featuresByFile[fileName] || []).concat(feature);
+
+		if (featureContents.requires) {
+			this.requirements.push({
+				feature:	feature,
+				file:		featureFile,
+				names:		(typeof featureContents.requires == 'string'	// may come from another context, so we can't rely on Array.from
+							 ? [ featureContents.requires ]
+							 : Array.prototype.map.call(featureContents.requires, String))
+			});
+		}
+
+		return this;
+	},
+
+	/** Resolves the names of required feature files declared by loaded features into the features they describe.
+	* A name matches a feature file if it is its name, with or without its extension and its ordering prefix: `LoginFeature` matches `1 - LoginFeature.js`. Required files whose features are not selected for this evaluation are ignored.
+	*
+	*@param	{Array.<String>}	featureFiles	Paths to all feature files of this suite, selected or not.
+	*@returns	{SuiteLoader}	This SuiteLoader, for chaining.
+	*@throws	{Error}	If a name matches no feature file of this suite.
+	*@see	Feature#requires
+	*@private
+	*/
+	resolveRequirements: function resolveRequirements(featureFiles) {
+		var fileNames = featureFiles.map(getFeatureFileName);
+
+		this.requirements.forEach(function(requirement) {
+			requirement.names.forEach(function(name) {
+				name = name.replace(/\.(js|feature)$/, '');
+
+				var matching = fileNames.filter(function(fileName) {
+					return fileName == name
+						|| fileName.replace(SuiteLoader.paths.orderingPrefix, '') == name;
+				});
+
+				if (matching.length == 0) {
+					var msg = 'Feature file "' + requirement.file + '" requires "' + name + '", which matches no feature file of this suite';
+					suitesLogger.error(msg);
+					throw new Error(msg);
+				}
+
+				matching.forEach(function(fileName) {
+					requirement.feature.requires.append(this.featuresByFile[fileName] || []);
+				}, this);
+			}, this);
+		}, this);
+
+		return this;
+	},
+
+	/** Creates the options hash to pass to a Feature, from the contents of its description file and this suite's configuration.
+	*
+	*@param	{Object}	featureContents	The evaluated contents of a feature description file.
+	*@returns	{Object}	Options for the Feature constructor.
+	*@see	Feature#initialize
+	*@private
+	*/
+	buildFeatureOptions: function buildFeatureOptions(featureContents) {
+		return {
+			timeout:		(typeof featureContents.assertionTimeout == 'number' ? featureContents.assertionTimeout : this.config.assertionTimeout),
+			implicitWait:	this.config.timeout,
+			stepTimeout:	(typeof featureContents.stepTimeout == 'number' ? featureContents.stepTimeout : this.config.stepTimeout),
+			featureTimeout:	(typeof featureContents.featureTimeout == 'number' ? featureContents.featureTimeout : this.config.featureTimeout),
+			tags:			featureContents.tags,
+			retries:		(typeof featureContents.retries == 'number' ? featureContents.retries : this.config.retries),
+			before:			featureContents.before,
+			after:			featureContents.after
+		}
+	},
+
+	/** Tells whether the given feature is part of this evaluation, according to the `featureFiles` and `grep` configuration keys.
+	* The `featureFiles` key lists the names of the feature files to evaluate in this suite, and the `grep` key is a case-insensitive regular expression that either the description or the file name of a feature should match.
+	* Contrary to skipped features, features that are not selected are not reported at all.
+	*
+	*@param	{String}	featureFile	Path to the feature description file.
+	*@param	{String}	description	Description of the feature.
+	*@returns	{Boolean}
+	*@see	#getSkipReason
+	*@private
+	*/
+	isSelected: function isSelected(featureFile, description) {
+		var fileName = pathsUtils.basename(featureFile);
+
+		if (this.config.featureFiles
+			&& ! Array.from(this.config.featureFiles).contains(fileName))
+			return false;
+
+		if (this.config.grep) {
+			var pattern = new RegExp(this.config.grep, 'i');
+			return pattern.test(description) || pattern.test(fileName);
+		}
+
+		return true;
+	},
+
+	/** Tells whether the given Feature should be skipped, according to the `tags` configuration key.
+	* That key lists tags that features should have or, if prefixed with `!`, that they should not have. A feature is evaluated if it has none of the excluded tags and, if some tags are required, at least one of them.
+	*
+	*@param	{Feature}	feature	The feature to select or not.
+	*@returns	{String|null}	The reason why the given feature should be skipped, or `null` if it should be evaluated.
+	*@private
+	*/
+	getSkipReason: function getSkipReason(feature) {
+		var required = [],
+			excluded = [],
+			hasTag = function(tag) {
+				return feature.tags.contains(tag);
+			};
+
+		Array.from(this.config.tags).each(function(tag) {
+			if (tag.charAt(0) == '!')
+				excluded.push(tag.slice(1));
+			else
+				required.push(tag);
+		});
+
+		var forbidden = excluded.filter(hasTag);
+
+		if (forbidden.length > 0)
+			return 'tagged with ' + forbidden.join(', ');
+
+		if (required.length > 0 && ! required.some(hasTag))
+			return 'not tagged with ' + required.join(' or ');
+
+		return null;
+	},
 	
 	/** Asks the underlying Runner instance to execute all tests.
+	* If this suite is to be evaluated in several browsers, they are evaluated one after the other, each by a SuiteLoader created just before.
 	*
-	*@return	A promise for results.
+	*@return	A promise for results. If several browsers are used, it is resolved if the suite passed in all browsers, and rejected otherwise, with the first error if any, be it a loading or a runner error, or with a hash mapping all failed features to their reasons for rejection.
 	*@see	Runner#run
 	*/
 	run: function run() {
-		var underline = this.name.replace(/./g, '–');
-		process.stdout.write(underline + '\n' + this.name + '\n' + underline + '\n');	//TODO: use logger?
-		
-		return this.runner.run();
+		if (! this.browsers)
+			return this.runner.run();
+
+		var deferred = promises.defer(),
+			failures = {},
+			error = null;
+
+		this.cancelled = false;
+		this.loaders = [];
+
+		var evaluation = this.browsers.reduce(function(previous, browser) {
+			return previous.then(function() {
+				if (this.cancelled)	// don't start evaluating in the next browsers
+					return;
+
+				var loader;
+
+				try {
+					loader = new SuiteLoader(this.path, this.options, browser);
+				} catch (constructionError) {
+					error = error || constructionError;
+					return;
+				}
+
+				this.loaders.push(loader);
+
+				return loader.run().then(null, function(reason) {
+					if (reason instanceof Error)
+						error = error || reason;
+					else
+						Object.append(failures, reason);
+				});
+			}.bind(this));
+		}.bind(this), promises.resolve());
+
+		evaluation.then(function() {
+			if (this.cancelled)
+				error = error || new Error('Evaluation was cancelled');
+
+			if (error)
+				deferred.reject(error);
+			else if (Object.getLength(failures) > 0)
+				deferred.reject(failures);
+			else
+				deferred.resolve(this);
+		}.bind(this)).end();
+
+		return deferred.promise;
+	},
+
+	/** Stops the evaluation of this suite, in all browsers.
+	*
+	*@return	{Promise}	A promise that is never rejected, resolved once everything has stopped.
+	*@see	Runner#cancel
+	*/
+	cancel: function cancel() {
+		if (! this.browsers)
+			return this.runner.cancel();
+
+		this.cancelled = true;
+
+		return promises.all(this.loaders.map(function(loader) {
+			return loader.cancel();
+		}));
+	},
+
+	/** Returns detailed results of the last evaluation of this suite.
+	* If this suite is evaluated in several browsers, results of all browsers are concatenated, and can be told apart with their `browser` key.
+	*
+	*@return	{Array.<Object>}
+	*@see	Runner#getResults
+	*/
+	getResults: function getResults() {
+		if (! this.browsers)
+			return this.runner.getResults();
+
+		return this.loaders.map(function(loader) {
+			return loader.getResults();
+		}).flatten();
 	}
 });
 
+/** Returns the name of the given feature file, without its directory and extension.
+*@param	{String}	featureFile	Path to a feature description file.
+*@return	{String}
+*@private
+*/
+function getFeatureFileName(featureFile) {
+	return pathsUtils.basename(featureFile, pathsUtils.extname(featureFile));
+}
+
+/** Loads the view modules of the given names.
+*
+*@param	{Array.<String>}	[viewNames]	Names of views, as listed in the `views` configuration key.
+*@returns	{Array.<Object>}	The matching view modules, in the same order.
+*@throws	{Error}	If a view can not be loaded.
+*@private
+*/
+function loadViews(viewNames) {
+	return Array.from(viewNames || []).map(function(viewName) {
+		try {
+			return require('../view/Runner' + viewName);
+		} catch (error) {
+			var msg = 'Could not load view "' + viewName + '" listed in the "views" configuration key (' + error.message + ')';
+			suitesLogger.error(msg);
+			throw new Error(msg);
+		}
+	});
+}
+
+/** Lists the browsers in which a suite should be evaluated, according to the given configuration.
+* Browsers are taken from the `browserProfiles` hash if the `browsers` key lists some of its names, and from the `driverCapabilities` key otherwise, which may be a single set of capabilities or an array of them.
+*
+*@param	{Object}	config	A suite configuration.
+*@returns	{Array.<Object>}	One hash per browser, with a `label` key holding a human-readable name for the browser (`null` if a single set of capabilities is given), and a `capabilities` key.
+*@throws	{Error}	If an unknown browser profile is requested.
+*@private
+*/
+function listBrowsers(config) {
+	if (config.browsers && config.browsers.length > 0) {
+		var profiles = config.browserProfiles || {};
+
+		return Array.from(config.browsers).map(function(name) {
+			if (! profiles[name]) {
+				var msg = 'Unknown browser profile "' + name + '" listed in the "browsers" configuration key. Known profiles are: ' + (Object.keys(profiles).join(', ') || 'none') + '.';
+				logger.error(msg);
+				throw new Error(msg);
+			}
+
+			return {
+				label:			name,
+				capabilities:	profiles[name]
+			}
+		});
+	}
+
+	if (Array.isArray(config.driverCapabilities)) {
+		return config.driverCapabilities.map(function(capabilities) {
+			return {
+				label:			describeCapabilities(capabilities),
+				capabilities:	capabilities
+			}
+		});
+	}
+
+	return [ {
+		label:			config.browser || null,
+		capabilities:	config.driverCapabilities
+	} ];
+}
+
+/** Creates a human-readable name for the given set of WebDriver capabilities.
+*@param	{Object}	capabilities
+*@returns	{String}	For example, "firefox 17 on LINUX".
+*@private
+*/
+function describeCapabilities(capabilities) {
+	var result = capabilities.browserName || 'browser';
+
+	if (capabilities.version)
+		result += ' ' + capabilities.version;
+
+	if (capabilities.platform)
+		result += ' on ' + capabilities.platform;
+
+	return result;
+}
+
+
 /** Defines all naming patterns conventions for test description folders.
 * Used for magical autoload.
 *
@@ -251,9 +941,30 @@ SuiteLoader.paths = {
 	widgetMarker:	'Widget.js',
 	/** If a file contains this string, it is considered as a data suite to be loaded.
 	*/
-	dataMarker:		'Data.js'
+	dataMarker:		'Data.js',
+	/** Exact name of the file describing what to do before all features of a suite.
+	*/
+	setup:			'Setup.js',
+	/** Exact name of the file describing what to do after all features of a suite.
+	*/
+	teardown:		'Teardown.js',
+	/** If a file contains this string, it is considered as a step definitions file for Gherkin features.
+	*/
+	stepsMarker:	'Steps.js',
+	/** Files with this extension are considered as Gherkin features.
+	*/
+	gherkinExtension:	'.feature',
+	/** Matches prefixes used to order feature files, such as `1 - `, that may be omitted when referring to them.
+	*/
+	orderingPrefix:	/^\d+\s*-\s*/
 }
 
+/** Name of the environment variable that selects the environment to use, if none is set in the configuration.
+*
+*@constant
+*/
+SuiteLoader.envVariable = 'WATAI_ENV';
+
 /** Lists all predefined global variables in the suite loading context, and how they are referenced in that context.
 *
 *@constant
@@ -262,9 +973,10 @@ SuiteLoader.contextGlobals = {
 	/** A hash containing all loaded widgets, indexed on their name.
 	*/
 	widgetsList:	'__widgets__',
-	/** An array containing all features, in their loading order.
+	/** The options given to all widgets of the suite.
+	*@see	Widget#initialize
 	*/
-	featuresList:	'__features__',
+	widgetOptions:	'__widgetOptions__',
 	/** The name of the offered logging function.
 	*/
 	logger:			'log',
@@ -273,7 +985,16 @@ SuiteLoader.contextGlobals = {
 	assert:			'assert',
 	/** The name of the offered storage hash, in which features may store values to compare them over time.
 	*/
-	storage:		'storage'
+	storage:		'storage',
+	/** The name of the offered hash of scenario helpers: special values for widget state descriptions, such as `absent`, and step wrappers, such as `expect`.
+	*@see	Feature.markers
+	*@see	Feature.expect
+	*/
+	helpers:		'Watai',
+	/** The name of the offered hash holding the values of the current row of a feature examples table.
+	*@see	SuiteLoader#loadFeature
+	*/
+	example:		'example'
 }
 
 
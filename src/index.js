@@ -7,6 +7,23 @@ var args = process.argv.slice(2); // extract CLI arguments, see http://docs.node
 */
 var MAIN_FILE = exports.MAIN_FILE = require('path').join(__dirname, 'TestRight.js');
 
+var fs = require('fs'),
+	pathsUtils = require('path');
+
+/** Maps CLI flags to the configuration key they override, and to the function that parses their value.
+*@see	parseArgs
+*@private
+*/
+var OPTIONS = {
+	'--views':	{ key: 'views', parse: parseList },
+	'--tags':	{ key: 'tags', parse: parseList },
+	'--grep':	{ key: 'grep', parse: String },
+	'--concurrency':	{ key: 'concurrency', parse: Number },
+	'--retries':	{ key: 'retries', parse: Number },
+	'--browsers':	{ key: 'browsers', parse: parseList },
+	'--env':	{ key: 'env', parse: String }
+}
+
 
 if (args.length == 0) {
 	showHelp();
@@ -28,24 +45,152 @@ if (args.length == 0) {
 }
 
 
-/** The CLI takes paths to test description folders as arguments.
-* Any number of paths may be given.
+/** The CLI takes paths to test description folders as arguments, possibly preceded by options.
+* Any number of paths may be given. Paths to feature files may also be given, in which case only these features are evaluated in their suite.
+* Suites are evaluated one after the other, unless a `--concurrency` is given, and a summary is printed once all have been evaluated.
+* Exits with a non-zero code if any feature failed or raised an error.
+* Interrupting the process (Ctrl-C) cancels the evaluation and presents the summary before exiting; interrupting it again exits immediately.
 *
-*@param	{Array.<String>}	folders	This **function**, as opposed to the CLI, takes in an array of paths. The CLI takes varargs.
+*@param	{Array.<String>}	args	This **function**, as opposed to the CLI, takes in an array of arguments. The CLI takes varargs.
 *@see	SuiteLoader
+*@see	OPTIONS
 *@private
 */
-function main(folders) {
+function main(args) {
+	var parsed = parseArgs(args);
+
+	if (parsed.paths.length == 0) {
+		showHelp();
+		process.exit(2);
+	}
+
 	var TR = require(MAIN_FILE);
 
-	var suites = new Array(folders.length);
-	
-	folders.forEach(function(descriptionPath) {
-		suites.push(new TR.SuiteLoader(descriptionPath));
+	var orchestrator = new TR.Orchestrator(parsed.options);
+
+	Object.each(require('./view/OrchestratorCLI'), function(handler, eventType) {
+		orchestrator.on(eventType, handler);
 	});
+
+	require('./lib/cli-animator').cancelOnInterrupt(orchestrator);	// on Ctrl-C, stop evaluating and present a summary before exiting
 	
-	suites.forEach(function(suite) {
-		suite.run();
+	groupBySuite(parsed.paths).forEach(function(suite) {
+		var options = parsed.options;
+
+		if (suite.featureFiles)
+			options = Object.merge({ featureFiles: suite.featureFiles }, options);
+
+		orchestrator.addSuite(suite.path, options);
+	});
+
+	orchestrator.run().then(function() {
+		exitOnceFlushed(0);
+	}, function() {
+		exitOnceFlushed(1);
+	}).end();
+}
+
+/** Exits with the given code once everything written to the standard output has been flushed.
+* Exiting right away could truncate the output of views, such as TAP or JSON, when it is piped to another process.
+*
+*@param	{Number}	code	The exit code.
+*@private
+*/
+function exitOnceFlushed(code) {
+	process.stdout.write('', function() {	// writes are flushed in order, so this callback is called once all previous ones have been
+		process.exit(code);
+	});
+}
+
+/** Separates CLI options from paths to test description folders or feature files.
+* Exits with a usage message if an unknown option is given.
+*
+*@param	{Array.<String>}	args	The CLI arguments.
+*@return	{Object}	A hash with an `options` key, that holds configuration values to override, and a `paths` key, that holds an array of paths.
+*@see	OPTIONS
+*@private
+*/
+function parseArgs(args) {
+	var result = {
+		options: {},
+		paths: []
+	};
+
+	for (var i = 0; i < args.length; i++) {
+		var arg = args[i];
+
+		if (arg.indexOf('--') !== 0) {
+			result.paths.push(arg);
+		} else if (OPTIONS[arg] && i + 1 < args.length) {
+			result.options[OPTIONS[arg].key] = OPTIONS[arg].parse(args[++i]);
+		} else {
+			console.error('Unknown option "' + arg + '", or missing value.');
+			showHelp();
+			process.exit(2);
+		}
+	}
+
+	return result;
+}
+
+/** Groups the given paths by test description folder.
+* A path to a feature file selects that feature in the folder containing it, while a path to a folder selects all features in it.
+*
+*@param	{Array.<String>}	paths	Paths to test description folders or feature files.
+*@return	{Array.<Object>}	One hash per suite, in order of first appearance, with a `path` key holding the path to the suite folder and a `featureFiles` key holding the names of the feature files to evaluate, or `null` if all should be.
+*@private
+*/
+function groupBySuite(paths) {
+	var result = [],
+		suites = {};	// same items as `result`, indexed on their path
+
+	paths.forEach(function(path) {
+		var featureFile = null;
+
+		if (isFile(path)) {
+			featureFile = pathsUtils.basename(path);
+			path = pathsUtils.dirname(path);
+		}
+
+		path = pathsUtils.resolve(path);
+
+		var suite = suites[path];
+
+		if (! suite) {
+			suite = suites[path] = { path: path, featureFiles: [] };
+			result.push(suite);
+		}
+
+		if (! featureFile)
+			suite.featureFiles = null;
+		else if (suite.featureFiles)
+			suite.featureFiles.push(featureFile);
+	});
+
+	return result;
+}
+
+/** Tells whether the given path points to an existing file.
+*@param	{String}	path
+*@return	{Boolean}
+*@private
+*/
+function isFile(path) {
+	try {
+		return fs.statSync(path).isFile();
+	} catch (e) {
+		return false;
+	}
+}
+
+/** Parses a comma-separated list of values.
+*@param	{String}	value
+*@return	{Array.<String>}
+*@private
+*/
+function parseList(value) {
+	return value.split(',').filter(function(item) {
+		return item.length > 0;
 	});
 }
 
@@ -69,5 +214,13 @@ function showHelp() {
 	var logger = require('winston');
 
 	logger.error("Oops, you didn’t provide any test suite to execute!");
-	logger.info("Usage: watai path/to/suite/description/folder [another/suite [yetAnother […]]]");
+	logger.info("Usage: watai [options] path/to/suite/description/folder [another/suite [path/to/a/suite/SomeFeature.js […]]]");
+	logger.info("Options:");
+	logger.info("	--views CLI,JUnit	Comma-separated list of views presenting results (CLI, Growl, JUnit, TAP, JSON)");
+	logger.info("	--grep pattern	Only evaluate features whose description or file name matches the given regular expression (case-insensitive)");
+	logger.info("	--env staging	Environment to use, as named in the \"environments\" configuration key (default: the WATAI_ENV environment variable)");
+	logger.info("	--browsers firefox,chrome	Evaluate suites in each of the given browsers, as named in the \"browserProfiles\" configuration key");
+	logger.info("	--concurrency 2	Number of suites to evaluate at the same time (default: 1)");
+	logger.info("	--retries 2	Number of times to evaluate again features that did not succeed before reporting them (default: 0)");
+	logger.info("	--tags smoke,!slow	Only evaluate features tagged with one of the given tags, and none of the ones prefixed with \"!\"");
 }
@@ -3,13 +3,55 @@
 */
 var CLIanimator = {};
 
+/** Whether all output from this animator is disabled.
+*@type	{Boolean}
+*@see	#mute
+*@private
+*/
+var muted = false;
+
+/** Objects to cancel when the user interrupts the process, such as an Orchestrator.
+*@type	{Array.<Object>}
+*@see	#cancelOnInterrupt
+*@private
+*/
+var cancellables = [];
+
+/** Whether the user already interrupted the process, in which case interrupting it again exits immediately.
+*@type	{Boolean}
+*@private
+*/
+var interrupted = false;
+
 
 process.on('SIGINT', function() {
 	CLIanimator.showCursor();
-	process.stdout.write('\n');
-	process.exit();
+
+	if (! muted)
+		process.stdout.write('\n');
+
+	if (interrupted || cancellables.length == 0)
+		process.exit();
+
+	interrupted = true;
+
+	CLIanimator.log('⚠', 'warn', 'Interrupted, stopping… (interrupt again to exit immediately)', 'warn');
+
+	cancellables.forEach(function(cancellable) {
+		cancellable.cancel();
+	});
 });
 
+/** Cancels the given object when the user interrupts the process, instead of exiting immediately.
+* The owner of the cancelled object is then responsible for exiting once it has stopped. Interrupting the process a second time exits immediately.
+*
+*@param	{Object}	cancellable	An object with a `cancel` method, such as an Orchestrator.
+*@see	Orchestrator#cancel
+*/
+CLIanimator.cancelOnInterrupt = function cancelOnInterrupt(cancellable) {
+	cancellables.push(cancellable);
+}
+
 /** Presents the given information to the user.
 *@param	{string}	prefix	A symbol to prepend to the message.
 *@param	{string}	type	The type of information to present (i.e. "debug", "info", "warn"…).
@@ -18,25 +60,52 @@ process.on('SIGINT', function() {
 */
 CLIanimator.log = function log(prefix, type, message, messageType) {
 	stop();
+
+	if (muted)
+		return;
+
 	process.stdout.write(makeLine(prefix, typeToColorCode[type], message + '\n', typeToColorCode[messageType]));
 }
 
+/** Presents the given raw text to the user, with no formatting.
+*@param	{string}	text	The text to output. Should end with a line break.
+*/
+CLIanimator.write = function write(text) {
+	stop();
+
+	if (! muted)
+		process.stdout.write(text);
+}
+
+/** Disables all output from this animator, including spinners.
+* To be used by views that need the standard output to stay machine-readable.
+*/
+CLIanimator.mute = function mute() {
+	if (play.timer)	// don't output anything if no animation was ever played
+		stop();
+
+	muted = true;
+}
+
 /** Hides the cursor.
 */
 CLIanimator.hideCursor = function hideCursor() {
-	process.stdout.write('\033[?25l');
+	if (! muted)
+		process.stdout.write('\033[?25l');
 }
 
 /** Shows the cursor.
 */
 CLIanimator.showCursor = function showCursor() {
-	process.stdout.write('\033[?25h');
+	if (! muted)
+		process.stdout.write('\033[?25h');
 }
 
 /** Does a spinner animation with the given message.
 */
 CLIanimator.spin = function spin(message) {
-	play(makeFrames(message));
+	if (! muted)
+		play(makeFrames(message));
 }
 
 /** Creates a coloured line out of the given pieces.
@@ -5,6 +5,13 @@ var WindowsCLI = {};
 
 var logger = require('winston').loggers.get('suites');
 
+/** Whether all output from this animator is disabled.
+*@type	{Boolean}
+*@see	#mute
+*@private
+*/
+var muted = false;
+
 
 /** Presents the given information to the user.
 *@param	{string}	prefix	A symbol to prepend to the message.
@@ -13,7 +20,23 @@ var logger = require('winston').loggers.get('suites');
 *@param	{string?}	messageType	The type of the actual content, for different colouration. 
 */
 WindowsCLI.log = function log(prefix, type, message, messageType) {
-	logger[method](prefix + '  ' + message);
+	if (! muted)
+		logger[method](prefix + '  ' + message);
+}
+
+/** Presents the given raw text to the user, with no formatting.
+*@param	{string}	text	The text to output. Should end with a line break.
+*/
+WindowsCLI.write = function write(text) {
+	if (! muted)
+		process.stdout.write(text);
+}
+
+/** Disables all output from this animator.
+* To be used by views that need the standard output to stay machine-readable.
+*/
+WindowsCLI.mute = function mute() {
+	muted = true;
 }
 
 /** Hides the cursor.
@@ -28,10 +51,18 @@ WindowsCLI.showCursor = function showCursor() {
 	// do nothing on Windows
 }
 
+/** Cancels the given object when the user interrupts the process.
+*@param	{Object}	cancellable	An object with a `cancel` method, such as an Orchestrator.
+*/
+WindowsCLI.cancelOnInterrupt = function cancelOnInterrupt(cancellable) {
+	// do nothing on Windows, where interrupting simply exits
+}
+
 /** Does a spinner animation with the given message.
 */
 WindowsCLI.spin = function spin(message) {
-	logger.verbose(message);
+	if (! muted)
+		logger.verbose(message);
 }
 
 module.exports = WindowsCLI;	// CommonJS export
@@ -0,0 +1,189 @@
+/**@namespace A minimal parser for the [Gherkin](https://github.com/cucumber/cucumber/wiki/Gherkin) language, restricted to what Watai can map onto features.
+* Supported: `Feature`, `Background`, `Scenario`, `Scenario Outline` with `Examples`, tags, comments, free-text descriptions and data tables as step arguments.
+* Not supported: doc strings and localized keywords.
+*/
+var Gherkin = {};
+
+
+/** Matches section headers, such as `Scenario: Some name`.
+*@private
+*/
+var SECTION = /^(Feature|Background|Scenario Outline|Scenario Template|Scenario|Examples|Scenarios):\s*(.*)$/;
+
+/** Matches step lines, such as `Given some context`.
+*@private
+*/
+var STEP = /^(Given|When|Then|And|But|\*)\s+(.+)$/;
+
+
+/** Parses the given Gherkin source.
+* Scenario outlines are expanded into one scenario per row of their examples tables, `<name>` placeholders in their name, steps and step tables being replaced by the matching values.
+*
+*@param	{String}	source	The contents of a `.feature` file.
+*@returns	{Object}	A hash with a `name` key, holding the name of the feature, and a `scenarios` key, holding an array of scenarios, i.e. hashes with `name`, `tags` (inherited from the feature and, for expanded scenario outlines, from their examples table, without the leading `@`), `line` and `steps` keys. Each step is a hash with `keyword`, `text`, `line` and, if a data table follows it, `table` (an array of rows, each an array of cells) keys. Background steps are prepended to the steps of each scenario.
+*@throws	{Error}	If a line can not be understood, or if a scenario outline has no examples, with its line number.
+*/
+Gherkin.parse = function parse(source) {
+	var feature = { name: '', tags: [], scenarios: [] },
+		background = null,
+		scenarios = [],
+		current = null,	// the section being parsed: background, scenario or outline
+		lastStep = null,
+		examples = null,	// the examples table being parsed, if any, as a hash with `tags` and `rows` keys
+		tags = [];
+
+	String(source).split(/\r?\n/).forEach(function(rawLine, index) {
+		var line = rawLine.trim(),
+			lineNumber = index + 1,
+			match;
+
+		if (! line || line.charAt(0) == '#')
+			return;
+
+		if (line.charAt(0) == '@') {
+			line.split(/\s+/).forEach(function(tag) {
+				tags.push(tag.replace(/^@/, ''));
+			});
+			return;
+		}
+
+		if (match = line.match(SECTION)) {
+			lastStep = null;
+			examples = null;
+
+			switch (match[1]) {
+				case 'Feature':
+					feature.name = match[2];
+					feature.tags = tags;
+					break;
+				case 'Background':
+					current = background = { steps: [] };
+					break;
+				case 'Examples':
+				case 'Scenarios':
+					if (! current || ! current.examples)
+						throw new Error('Examples can only be given to a scenario outline (line ' + lineNumber + ')');
+					examples = { tags: tags, rows: [] };
+					current.examples.push(examples);
+					break;
+				default:	// scenarios and scenario outlines
+					current = {
+						name:		match[2],
+						tags:		feature.tags.concat(tags),
+						line:		lineNumber,
+						steps:		[],
+						examples:	(match[1] == 'Scenario' ? null : [])
+					};
+					scenarios.push(current);
+			}
+
+			tags = [];
+			return;
+		}
+
+		if (match = line.match(STEP)) {
+			if (! current || examples)
+				throw new Error('Step "' + line + '" is not part of a scenario (line ' + lineNumber + ')');
+
+			lastStep = {
+				keyword:	match[1],
+				text:		match[2],
+				line:		lineNumber
+			};
+			current.steps.push(lastStep);
+			return;
+		}
+
+		if (line.charAt(0) == '|') {
+			var cells = line.replace(/^\||\|$/g, '').split('|').map(function(cell) {
+				return cell.trim();
+			});
+
+			if (examples) {
+				examples.rows.push(cells);
+			} else if (lastStep) {
+				lastStep.table = lastStep.table || [];
+				lastStep.table.push(cells);
+			} else {
+				throw new Error('Table row is not attached to any step or examples (line ' + lineNumber + ')');
+			}
+			return;
+		}
+
+		if (current && current.steps.length > 0)	// free-text descriptions are only allowed before steps
+			throw new Error('Unexpected line "' + line + '" (line ' + lineNumber + ')');
+	});
+
+	scenarios.forEach(function(scenario) {
+		if (background)
+			scenario.steps = background.steps.concat(scenario.steps);
+
+		if (scenario.examples) {
+			var expanded = expandOutline(scenario);
+
+			if (expanded.length == 0)
+				throw new Error('Scenario outline "' + scenario.name + '" has no examples (line ' + scenario.line + ')');
+
+			feature.scenarios.push.apply(feature.scenarios, expanded);
+		} else
+			feature.scenarios.push(scenario);
+
+		delete scenario.examples;
+	});
+
+	return feature;
+}
+
+/** Creates one scenario per row of the examples tables of the given scenario outline.
+*
+*@param	{Object}	outline	A parsed scenario outline, whose `examples` key holds an array of tables, each being a hash with a `tags` key, holding the tags of the table, and a `rows` key, holding an array of rows, the first row holding names.
+*@returns	{Array.<Object>}	The expanded scenarios.
+*@private
+*/
+function expandOutline(outline) {
+	var result = [];
+
+	outline.examples.forEach(function(table) {
+		var names = table.rows[0] || [];
+
+		table.rows.slice(1).forEach(function(row) {
+			var values = {};
+
+			names.forEach(function(name, index) {
+				values[name] = row[index];
+			});
+
+			function substitute(text) {
+				return text.replace(/<([^<>]+)>/g, function(placeholder, name) {
+					return (values.hasOwnProperty(name) ? values[name] : placeholder);
+				});
+			}
+
+			result.push({
+				name:	substitute(outline.name),
+				tags:	outline.tags.concat(table.tags),
+				line:	outline.line,
+				steps:	outline.steps.map(function(step) {
+					var expanded = {
+						keyword:	step.keyword,
+						text:		substitute(step.text),
+						line:		step.line
+					};
+
+					if (step.table) {
+						expanded.table = step.table.map(function(cells) {
+							return cells.map(substitute);
+						});
+					}
+
+					return expanded;
+				})
+			});
+		});
+	});
+
+	return result;
+}
+
+
+module.exports = Gherkin;	// CommonJS export
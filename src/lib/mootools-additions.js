@@ -1,14 +1,31 @@
 Object.extend( /* @lends Object */ {
+	/** Separates a property path (a string delimiting nested properties with a dot) from its optional qualifier.
+	* A qualifier is anything that follows the first `@` or `:` character in the path, such as `@name` in `a.b@name` or `:css(color)` in `a.b:css(color)`.
+	*@param	path	{String}	A path of properties, delimited by dots, optionally followed by a qualifier.
+	*@returns	{Object}	A hash with a `parts` key, containing the array of properties to walk, and a `qualifier` key, containing the qualifier with its leading character, or `null` if there is none.
+	*@memberOf	Object
+	*/
+	parsePropertyPath: function parsePropertyPath(path) {
+		var qualifierIndex = path.search(/[@:]/);
+
+		return {
+			parts:		(qualifierIndex < 0 ? path : path.substring(0, qualifierIndex)).split('.'),
+			qualifier:	(qualifierIndex < 0 ? null : path.substring(qualifierIndex))
+		}
+	},
+
 	/** Tells whether the given property path (a string delimiting nested properties with a dot) is available, without accessing the last property.
+	* Qualifiers are ignored.
 	*@param	source	{Object}	The object in which the given property path should be looked up.
 	*@param	parts	{String}	A path of properties to walk, delimited by dots.
 	*@returns	{Boolean}
+	*@see	#parsePropertyPath
 	*@memberOf	Object
 	*/
 	hasPropertyPath: function hasPropertyPath(source, parts) {
 		var hasOwnProperty = Object.prototype.hasOwnProperty;
 	
-		if (typeof parts == 'string') parts = parts.split('.');
+		if (typeof parts == 'string') parts = Object.parsePropertyPath(parts).parts;
 		for (var i = 0, l = parts.length; i < l - 1; i++) {
 			if (hasOwnProperty.call(source, parts[i]))
 				source = source[parts[i]];
@@ -20,15 +37,16 @@ Object.extend( /* @lends Object */ {
 	},
 
 	/** Returns the property at the end of the given property path (a string delimiting nested properties with a dot).
-	* Part of MooTools-more.
+	* Part of MooTools-more. Qualifiers are ignored.
 	*
 	*@param	source	{Object}	The object in which the given property path should be looked up.
 	*@param	parts	{String}	A path of properties to walk, delimited by dots.
 	*@returns	The pointed property, or `null` if any of the sub-paths is incorrect.
+	*@see	#parsePropertyPath
 	*@memberOf	Object
 	*/
 	getFromPath: function getFromPath(source, parts) {
-		if (typeof parts == 'string') parts = parts.split('.');
+		if (typeof parts == 'string') parts = Object.parsePropertyPath(parts).parts;
 		for (var i = 0, l = parts.length; i < l; i++) {
 			if (Object.prototype.hasOwnProperty.call(source, parts[i]))
 				source = source[parts[i]];
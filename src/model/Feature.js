@@ -3,12 +3,26 @@ var promises = require('q'),
 	
 var logger = require('winston').loggers.get('steps');
 
+var Hook = require('./Hook');
+
 
 var Feature = new Class( /** @lends Feature# */ {
 	/** A sequence of promises to be executed in order, constructed after the scenario for this feature.
 	*@private
 	*/
 	steps: [],
+
+	/** Steps to execute before the scenario of this feature, which is not evaluated if any of them fails.
+	*@type	{Array.<function>}
+	*@private
+	*/
+	beforeSteps: [],
+
+	/** Steps to execute after the scenario of this feature, whatever its outcome.
+	*@type	{Array.<function>}
+	*@private
+	*/
+	afterSteps: [],
 	
 	/** A hash with all widgets accessible to this Feature, indexed on their names.
 	*@type	{Object.<String, Widget>}
@@ -16,30 +30,120 @@ var Feature = new Class( /** @lends Feature# */ {
 	*@private
 	*/
 	widgets: {},
+
+	/** Maximum time to wait for widget state descriptions to match, in seconds.
+	* Can be overridden for a single state description by adding a `timeout` key to it.
+	*@type	{Number}
+	*@private
+	*/
+	timeout: 0,
+
+	/** The implicit wait timeout of the driver in which widgets look for their elements, in seconds.
+	* Used to restore it after checking for the absence of elements, which is done without implicit wait.
+	*@type	{Number}
+	*@private
+	*/
+	implicitWait: 0,
+
+	/** Maximum time a single step may take to complete, in seconds, after which the feature is reported as an error. 0 means no limit.
+	*@type	{Number}
+	*@private
+	*/
+	stepTimeout: 0,
+
+	/** Maximum time the whole feature, including its `before` and `after` steps, may take to be evaluated, in seconds, after which it is reported as an error. 0 means no limit.
+	*@type	{Number}
+	*@private
+	*/
+	featureTimeout: 0,
+
+	/** Incremented on each evaluation, and when an evaluation times out or is cancelled, so that steps of an abandoned evaluation are not scheduled anymore.
+	*@type	{integer}
+	*@private
+	*/
+	evaluation: 0,
+
+	/** A description of the step being evaluated, such as `step 2 (LoginWidget.login)`, used when the feature times out, or `null` if no step is being evaluated.
+	*@type	{String}
+	*@private
+	*/
+	currentStep: null,
+
+	/** Labels used to select features to evaluate, such as "smoke" or "slow".
+	*@type	{Array.<String>}
+	*/
+	tags: [],
+
+	/** Features that have to succeed for this one to be evaluated. A Runner evaluates them first, and skips this feature if any of them did not succeed.
+	*@type	{Array.<Feature>}
+	*@see	Runner#orderFeatures
+	*/
+	requires: [],
+
+	/** Number of times a Runner evaluates this feature again if it fails or raises errors, before reporting it as such.
+	*@type	{Number}
+	*@see	Runner#handleFeatureResult
+	*/
+	retries: 0,
 	
 	/**@class	A Feature models a sequence of actions to be executed through Widgets.
 	* 
 	* A feature description file contains a simple descriptive array listing widget methods to execute and widget state descriptors to assert.
 	* More formally, such an array is ordered and its members may be:
-	* - a closure;
-	* - an object whose keys are some widgets' attributes identifiers (ex: "MyWidget.myAttr"), pointing at a string that contains the expected text content of the HTML element represented by the `myAttr` hook in `MyWidget`.
+	* - a closure, possibly followed by its parameters, as a single value or an array of values; closures wrapped with `Feature.expect` fail the feature if they return or resolve to a falsy value;
+	* - an object whose keys are some widgets' attributes identifiers (ex: "MyWidget.myAttr"), pointing at a string that contains the expected text content of the HTML element represented by the `myAttr` hook in `MyWidget`, at a RegExp that this text content should match, or at a predicate function that is passed this text content and returns a boolean or a promise for a boolean. Identifiers may be qualified to assert something else than the text content, such as "MyWidget.myAttr@placeholder" or "MyWidget.myAttr:displayed" (see `Feature.qualifiers`). `select` elements are matched against the text of their selected option, and checkboxes and radio buttons against their checked state (`true` or `false`). Collection hooks are matched against an array of texts, or qualified with "MyWidget.items:count" (see `Feature.collectionQualifiers`). The `timeout` key is reserved: it sets how long to wait for this specific description to match, in seconds.
 	*
 	* Upon instantiation, a Feature translates this array into an array of promises:
 	* - closures are executed directly, either as promises if they are so themselves, or as basic functions;
-	* - a widget state describing hash maps each of its members to an assertion inside a promise, evaluating all of them asynchronously.
+	* - a widget state describing hash maps each of its members to an assertion inside a promise, evaluating all of them asynchronously, and retrying each of them until it matches or the timeout expires.
 	* All those promises are then evaluated sequentially upon calling the `test` method of a Feature.
 	*
 	*@constructs
 	*@param	{String}	description	A plain text description of the feature, advised to be written in a BDD fashion.
 	*@param	{Array}		scenario	An array that describes states and transitions. See class documentation for formatting.
 	*@param	{Object.<String, Widget>}	widgets	A hash listing all widgets accessible to this Feature, indexed on their names.
+	*@param	{Object}	[options]	A hash of optional settings:
+	*	- `timeout`: maximum time to wait for widget state descriptions to match, in seconds. Defaults to 0, i.e. no waiting;
+	*	- `implicitWait`: the implicit wait timeout set on the driver, in seconds. Defaults to 0;
+	*	- `stepTimeout`: maximum time a single step may take to complete, in seconds. Defaults to 0, i.e. no limit;
+	*	- `featureTimeout`: maximum time the whole feature may take to be evaluated, in seconds. Defaults to 0, i.e. no limit;
+	*	- `tags`: a tag or an array of tags labelling this feature. Defaults to no tags;
+	*	- `retries`: number of times to evaluate this feature again if it does not succeed. Defaults to 0;
+	*	- `before`: an array of steps, in the same format as the scenario, to execute before the scenario. If any of them fails, the scenario is not evaluated and the feature is reported as an error;
+	*	- `after`: an array of steps, in the same format as the scenario, to execute after the scenario, even if it failed. Their failures are reported as errors.
 	*/
-	initialize: function init(description, scenario, widgets) {
+	initialize: function init(description, scenario, widgets, options) {
 		this.description = description;
 		
 		this.widgets = widgets;	//TODO: transform so that they can be referred to with the "Widget" suffix optional?
+
+		options = options || {};
+
+		if (typeof options.timeout == 'number')
+			this.timeout = options.timeout;
+
+		if (typeof options.implicitWait == 'number')
+			this.implicitWait = options.implicitWait;
+
+		if (options.stepTimeout > 0)
+			this.stepTimeout = options.stepTimeout;
+
+		if (options.featureTimeout > 0)
+			this.featureTimeout = options.featureTimeout;
+
+		if (options.tags)	// may come from another context, so we can't rely on Array.from
+			this.tags = (typeof options.tags == 'string' ? [ options.tags ] : Array.prototype.map.call(options.tags, String));
+
+		if (options.retries > 0)
+			this.retries = Math.floor(options.retries);
 		
 		this.steps = this.loadScenario(scenario);
+
+		if (options.before)
+			this.beforeSteps = this.loadScenario(options.before);
+
+		if (options.after)
+			this.afterSteps = this.loadScenario(options.after);
 	},
 	
 	/** Parses an array that describes states and transitions and transforms it into a sequence of promises to be evaluated.
@@ -81,7 +185,11 @@ var Feature = new Class( /** @lends Feature# */ {
 	*@private
 	*/
 	buildFunctionalPromise: function buildFunctionalPromise(func, params) {
-		return func.apply.bind(func, null, params);
+		var result = func.apply.bind(func, null, params);
+
+		result.displayName = describeStep(func);	// used in timeout reports
+
+		return result;
 	},
 	
 	/** Parses a widget state description and creates an assertive closure returning the promise for assertions results upon evaluation.
@@ -90,78 +198,477 @@ var Feature = new Class( /** @lends Feature# */ {
 	*@returns	{function}	A parameter-less closure asserting the described state and returning a promise that will be either:
 	*	- rejected if any assertion fails, passing a string parameter that describes the first failed match;
 	*	- resolved if all assertions pass, with no parameter.
+	*@see	#assertState
 	*@private
 	*/
 	buildAssertionPromise: function buildAssertionPromise(hooksVals) {
-		var widgets = this.widgets,	// making the closure complete for later evaluation
-			matchesLeft = 0;	// optimization: we're using the check loop beneath to cache the count of elements to match
-		
-		Object.each(hooksVals, function(expected, attribute) {
-			matchesLeft++;
+		var feature = this,	// making the closure complete for later evaluation
+			hasTimeout = Object.prototype.hasOwnProperty.call(hooksVals, 'timeout'),
+			timeout = hooksVals.timeout,
+			assertions = Object.filter(hooksVals, function(expected, attribute) {
+				return attribute != 'timeout';	// reserved key, see class documentation
+			});
 
-			if (! Object.hasPropertyPath(widgets, attribute)) {	// unfortunately, we can't cache this, since WebDriverJS matches elements to the current page once and for all. We'll have to ask access on the page on which the assertion will take place.
-				logger.error('Could not find "' + attribute + '" in available widgets. Are you sure you spelled the property path properly?', { widgets: widgets });
+		Object.each(assertions, function(expected, attribute) {
+			if (! Object.hasPropertyPath(feature.widgets, attribute)) {	// unfortunately, we can't cache this, since WebDriverJS matches elements to the current page once and for all. We'll have to ask access on the page on which the assertion will take place.
+				logger.error('Could not find "' + attribute + '" in available widgets. Are you sure you spelled the property path properly?', { widgets: feature.widgets });
 				throw new Error('Could not find "' + attribute + '" in available widgets');
 			}
+
+			var qualifier = feature.parseQualifier(attribute),	// throws if the qualifier is unknown, so that errors are reported upon loading
+				hook = feature.getHook(attribute);
+
+			if (qualifier && qualifier.collection && ! (hook && hook.collection)) {
+				logger.error('Qualifier "' + qualifier.name + '" can only be used on collections of elements, which "' + attribute + '" is not.');
+				throw new Error('Qualifier "' + qualifier.name + '" can only be used on collections of elements, which "' + attribute + '" is not');
+			}
+
+			if (Object.contains(Feature.markers, expected) && ! hook) {
+				logger.error('"' + attribute + '" is not a widget element, its presence can not be checked.');
+				throw new Error('"' + attribute + '" is not a widget element, its presence can not be checked');
+			}
 		});
 		
-		return function() {
-			var evaluator = promises.defer();
+		var result = function() {
+			var evaluator = promises.defer(),
+				matchesLeft = Object.getLength(assertions),
+				failed = false;
 
-			var isEmpty = true;	// yep, we have to treat the special case of {}
+			if (matchesLeft == 0)	// yep, we have to treat the special case of {}
+				evaluator.resolve();
 
-			Object.each(hooksVals, function(expected, attribute) {
-				isEmpty = false;
+			var isFailed = function isFailed() {	// once an assertion failed, the state description is rejected, so there is no point in polling the other ones
+				return failed;
+			}
 
-				function compareTo(actual) {
-					if (expected != actual)
-						evaluator.reject(attribute + ' was "' + actual + '" instead of "' + expected + '"');
-					
+			Object.each(assertions, function(expected, attribute) {
+				feature.assertState(attribute, expected, (hasTimeout ? timeout : feature.timeout), isFailed).then(function() {
 					if (--matchesLeft == 0)
 						evaluator.resolve();
+				}, function(reason) {
+					failed = true;
+					evaluator.reject(reason);
+				});
+			});
+			
+			return evaluator.promise;
+		}
+
+		result.displayName = 'state of ' + Object.keys(assertions).join(', ');	// used in timeout reports
+
+		return result;
+	},
+
+	/** Asserts that the element at the given property path matches the given expected value, retrying until it does or until the given timeout expires.
+	*
+	*@param	{String}	attribute	A property path to an element, such as `MyWidget.myAttr`, optionally qualified, such as `MyWidget.myAttr@placeholder`.
+	*@param	expected	The value the element should match. See `buildMatcher` for accepted types.
+	*@param	{Number}	[timeout]	Maximum time to wait for the element to match, in seconds. Defaults to 0, i.e. a single evaluation.
+	*@param	{Function}	[abandoned]	Called before each new attempt; if it returns `true`, the element is not read again and the returned promise is never settled.
+	*@returns	{Promise}	A promise resolved if the element matches, rejected with a string describing the last observed mismatch and the time waited otherwise.
+	*@see	#buildMatcher
+	*@see	#readValue
+	*@see	Feature.pollingDelay
+	*@private
+	*/
+	assertState: function assertState(attribute, expected, timeout, abandoned) {
+		var feature = this,
+			deferred = promises.defer(),
+			matcher = this.buildMatcher(expected),
+			read = matcher.read || this.readValue.bind(this),
+			start = Date.now();
+
+		timeout = (timeout || 0) * 1000;	// seconds to milliseconds
+
+		function retryOrFail(reason) {
+			var elapsed = Date.now() - start;
+
+			if (elapsed + Feature.pollingDelay < timeout)
+				setTimeout(attempt, Feature.pollingDelay);
+			else
+				deferred.reject(reason + (timeout ? ' (after waiting for ' + (elapsed / 1000).toFixed(1) + ' seconds)' : ''));
+		}
+
+		function compareTo(actual) {
+			var fail = function fail(reason) {
+				retryOrFail(attribute + ' ' + matcher.describe(actual) + (reason ? ' (' + reason + ')' : ''));
+			}
+
+			var conclude = function conclude(matches) {
+				if (matches)
+					deferred.resolve();
+				else
+					fail();
+			}
+
+			try {
+				var outcome = matcher.test(actual);
+
+				if (outcome && typeof outcome.then == 'function')	// predicates may return promises
+					outcome.then(conclude, fail);
+				else
+					conclude(outcome);
+			} catch (error) {
+				fail(error.message || error);
+			}
+		}
+
+		function attempt() {
+			if (abandoned && abandoned())
+				return;
+
+			read(attribute).then(compareTo, retryOrFail);
+		}
+
+		attempt();
+
+		return deferred.promise;
+	},
+
+	/** Reads the current value of the element at the given property path.
+	* If the path is qualified, the value is read as defined in `Feature.qualifiers`. Otherwise, it depends on the type of the element: the text of the selected option for `select` elements, the checked state for checkboxes and radio buttons, and the text content of the element, or its `value` attribute if it has no text content, for any other element.
+	* For collection hooks, the value is an array of the values of all matching elements, or is read as defined in `Feature.collectionQualifiers`.
+	*
+	*@param	{String}	attribute	A property path to an element, optionally qualified.
+	*@returns	{Promise}	A promise for the value, rejected with a string describing the problem if it could not be read.
+	*@see	Feature.qualifiers
+	*@see	Hook.readValue
+	*@private
+	*/
+	readValue: function readValue(attribute) {
+		var deferred = promises.defer(),
+			qualifier = this.parseQualifier(attribute),
+			hook = this.getHook(attribute);
+
+		if (hook && hook.collection)
+			return this.readCollection(attribute, qualifier);
+
+		var target = Object.getFromPath(this.widgets, attribute);
+
+		target.then(function() {	// the resolved element is not protected against staleness, so use the hook-provided one
+				if (qualifier) {
+					qualifier.read(target).then(deferred.resolve.bind(deferred),
+												deferred.reject.bind(deferred, 'Could not get ' + qualifier.name + ' from element "' + attribute + '".'));
+					return;
 				}
 
-				Object.getFromPath(widgets, attribute).then(function(target) {
-						target.getText().then(function(text) {
-							if (text) {	//TODO: refactor to use an array of methods to check sequentially
-								compareTo(text);
-							} else {	// it could be that it is an input field and we need to compare the value
-								target.getAttribute('value')
-									  .then(compareTo,
-											evaluator.reject.bind(evaluator, 'Could not get value from element "' + attribute + '".'));
-							}
-						},
-						evaluator.reject.bind(evaluator, 'Could not get text from element "' + attribute + '".'));
-					},
-					function() {
-						evaluator.reject('Element "' + attribute + '" does not exist on the page.'); // direct binding makes webdriverjs throw the reason for rejection again :/
-					}
-				)
+				Hook.readValue(target).then(deferred.resolve.bind(deferred),
+											deferred.reject.bind(deferred, 'Could not get value from element "' + attribute + '".'));
+			},
+			function() {
+				deferred.reject('Element "' + attribute + '" does not exist on the page.'); // direct binding makes webdriverjs throw the reason for rejection again :/
+			}
+		);
+
+		return deferred.promise;
+	},
+
+	/** Reads the current values of all elements matching the collection hook at the given property path.
+	*
+	*@param	{String}	attribute	A property path to a collection hook, optionally qualified.
+	*@param	{Object}	[qualifier]	The parsed qualifier of the path, if any.
+	*@returns	{Promise}	A promise for the value read by a collection qualifier, or for an array of the texts (or qualified values) of all matching elements, in document order.
+	*@see	#readValue
+	*@private
+	*/
+	readCollection: function readCollection(attribute, qualifier) {
+		var deferred = promises.defer();
+
+		this.findElements(attribute).then(function(elements) {
+			if (qualifier && qualifier.collection)
+				return deferred.resolve(qualifier.read(elements));
+
+			promises.all(elements.map(function(element) {
+				var value = promises.defer();
+
+				(qualifier ? qualifier.read(element) : element.getText())
+					.then(value.resolve.bind(value), value.reject.bind(value));	// WebDriver promises are not assimilated by q
+
+				return value.promise;
+			})).then(deferred.resolve.bind(deferred), function() {
+				deferred.reject('Could not read the elements of "' + attribute + '".');
 			});
+		}, deferred.reject.bind(deferred));
 
-			if (isEmpty)
-				evaluator.resolve();
-			
-			return evaluator.promise;
+		return deferred.promise;
+	},
+
+	/** Finds all elements currently matching the hook at the given property path, without waiting for them to appear.
+	* The driver's implicit wait is disabled for the lookup, and restored afterwards.
+	* If the hook is scoped to the root of a nested widget and that root can not be found, no element matches.
+	*
+	*@param	{String}	attribute	A property path to a widget element.
+	*@returns	{Promise}	A promise for an array of WebElements, possibly empty.
+	*@private
+	*/
+	findElements: function findElements(attribute) {
+		var deferred = promises.defer(),
+			hook = this.getHook(attribute),
+			timeouts = hook.driver.manage().timeouts();
+
+		timeouts.implicitlyWait(0);
+
+		hook.toSeleniumElements().then(deferred.resolve.bind(deferred), function() {
+			if (hook.scope)
+				deferred.resolve([]);
+			else
+				deferred.reject('Could not look for element "' + attribute + '".');
+		});
+
+		timeouts.implicitlyWait(this.implicitWait * 1000);	// WebDriver commands are queued, so this will be executed after the lookup
+
+		return deferred.promise;
+	},
+
+	/** Returns the Hook at the given property path, without looking up its element.
+	*
+	*@param	{String}	attribute	A property path to a widget element, optionally qualified.
+	*@returns	{Hook|null}	The matching Hook, or `null` if the path does not point to a widget element.
+	*@private
+	*/
+	getHook: function getHook(attribute) {
+		var parts = Object.parsePropertyPath(attribute).parts,
+			key = parts.pop(),
+			widget = Object.getFromPath(this.widgets, parts);
+
+		return (widget && widget.hooks && widget.hooks[key]) || null;
+	},
+
+	/** Parses the qualifier of the given property path, if any.
+	*
+	*@param	{String}	attribute	A property path to an element, optionally qualified.
+	*@returns	{Object|null}	`null` if the path is not qualified, otherwise a hash with a `name` key, containing the name of the qualifier, a `read` key, containing a function that takes a WebElement (or, for collection qualifiers, an array of WebElements) and returns a promise for the qualified value, and a `collection` key, telling whether this is a collection qualifier.
+	*@throws	{Error}	If the qualifier is unknown, or misses its argument.
+	*@see	Feature.qualifiers
+	*@see	Feature.collectionQualifiers
+	*@private
+	*/
+	parseQualifier: function parseQualifier(attribute) {
+		var qualifier = Object.parsePropertyPath(attribute).qualifier;
+
+		if (! qualifier)
+			return null;
+
+		var matches = /^(?:@(.+)|:(\w+)(?:\((.+)\))?)$/.exec(qualifier),
+			message,
+			name = matches && (matches[1] ? 'attribute' : matches[2]),
+			argument = matches && (matches[1] || matches[3]);
+
+		var isCollection = matches && Object.prototype.hasOwnProperty.call(Feature.collectionQualifiers, name);
+
+		if (! matches || ! (isCollection || Object.prototype.hasOwnProperty.call(Feature.qualifiers, name))) {
+			message = 'Unknown qualifier "' + qualifier + '" in "' + attribute + '". Known qualifiers are: @<attribute>, :' + Object.keys(Feature.qualifiers).concat(Object.keys(Feature.collectionQualifiers)).join(', :');
+			logger.error(message);
+			throw new Error(message);
+		}
+
+		var reader = (isCollection ? Feature.collectionQualifiers : Feature.qualifiers)[name];
+
+		if (reader.length > 1 && ! argument) {
+			message = 'Qualifier "' + qualifier + '" in "' + attribute + '" needs an argument, such as ":' + name + '(…)"';
+			logger.error(message);
+			throw new Error(message);
+		}
+
+		return {
+			name:		(argument ? name + ' "' + argument + '"' : name),
+			collection:	isCollection,
+			read:		function(target) {
+				return reader(target, argument);
+			}
+		}
+	},
+
+	/** Creates a matcher for the given expected value, as used in widget state descriptions.
+	* The expected value may be:
+	* - one of the `Feature.markers`, to assert that the element is absent from the page or hidden;
+	* - a RegExp, that the actual text is tested against;
+	* - a function, that is passed the actual text and returns a boolean or a promise for a boolean;
+	* - an array, that the texts of all elements of a collection hook are compared to, in order;
+	* - any other value, that the actual text is compared to.
+	*
+	* Since state descriptions are loaded in a different context (see SuiteLoader), types are detected without relying on `instanceof` or prototype augmentation.
+	*
+	*@param	expected	The expected value.
+	*@returns	{Object}	A matcher, with a `test` method that is passed the actual value and returns a boolean or a promise for a boolean, and a `describe` method that is passed the actual value and returns a description of the mismatch. It may also have a `read` method, that is passed a property path and returns a promise for the actual value, if it should not be read with `readValue`.
+	*@see	Feature.markers
+	*@private
+	*/
+	buildMatcher: function buildMatcher(expected) {
+		var feature = this;
+
+		if (expected === Feature.markers.absent) {
+			return {
+				read: this.findElements.bind(this),
+				test: function(elements) {
+					return elements.length == 0;
+				},
+				describe: function() {
+					return 'was expected to be absent, but was found on the page';
+				}
+			}
+		}
+
+		if (expected === Feature.markers.hidden) {
+			return {
+				read: function(attribute) {
+					return feature.findElements(attribute).then(function(elements) {
+						return elements.length > 0 && elements[0].isDisplayed();	// a missing element is hidden
+					});
+				},
+				test: function(displayed) {
+					return ! displayed;
+				},
+				describe: function() {
+					return 'was expected to be hidden, but was displayed';
+				}
+			}
+		}
+
+		if (typeof expected == 'function') {
+			return {
+				test: function(actual) {
+					return expected(actual);
+				},
+				describe: function(actual) {
+					return 'was "' + actual + '", which does not satisfy ' + (expected.name ? '"' + expected.name + '"' : 'the given predicate');
+				}
+			}
+		}
+
+		if (Object.prototype.toString.call(expected) == '[object RegExp]') {
+			return {
+				test: function(actual) {
+					expected.lastIndex = 0;	// global regexps are stateful
+					return expected.test(actual);
+				},
+				describe: function(actual) {
+					return 'was "' + actual + '", which does not match ' + expected;
+				}
+			}
+		}
+
+		if (Object.prototype.toString.call(expected) == '[object Array]') {
+			return {
+				test: function(actual) {
+					return actual.length == expected.length
+						&& expected.every(function(value, index) {
+							return value == actual[index];
+						});
+				},
+				describe: function(actual) {
+					return 'was ' + JSON.stringify(actual) + ' instead of ' + JSON.stringify(expected);
+				}
+			}
+		}
+
+		return {
+			test: function(actual) {
+				return expected == actual;
+			},
+			describe: function(actual) {
+				return 'was "' + actual + '" instead of "' + expected + '"';
+			}
 		}
 	},
 	
-	/** Asynchronously evaluates the scenario given to this feature.
+	/** Asynchronously evaluates the scenario given to this feature, along with its `before` and `after` steps.
+	* The `after` steps are not evaluated if a `before` or scenario step timed out.
 	*
 	*@returns	{Promise}	A promise that will be either:
-	*	- rejected if any assertion or action fails, passing a hash containing two keys:
+	*	- rejected if any assertion or action fails, passing a hash containing three keys:
 	*		• `failures`: an array of strings that describe reason(s) for failure(s) (one reason per item in the array);
-	*		• `errors`: an array of strings that describe errors that arose when trying to evaluate the feature.
+	*		• `errors`: an array of strings that describe errors that arose when trying to evaluate the feature. Failures of `before` and `after` steps are reported here, prefixed with the hook in which they happened;
+	*		• `timedOut`: `true` if a step or the whole feature did not complete in time (see `stepTimeout` and `featureTimeout`), in which case the driver may still be busy with a command that never completes.
 	*	- resolved if all assertions pass, with no parameter.
 	*/
 	test: function evaluate() {
 		var deferred = promises.defer(),
+			feature = this,
+			evaluation = ++this.evaluation,
+			report,
+			timer;
+
+		if (this.featureTimeout) {
+			timer = setTimeout(function() {
+				if (feature.evaluation != evaluation)	// cancelled in the meantime
+					return;
+
+				feature.evaluation++;	// stop scheduling steps of this evaluation
+
+				deferred.reject({
+					failures:	[],
+					errors:		[ new Error('Feature did not complete within ' + feature.featureTimeout + ' seconds' + (feature.currentStep ? ', while evaluating ' + feature.currentStep : '')) ],
+					timedOut:	true
+				});
+			}, this.featureTimeout * 1000);
+		}
+
+		this.evaluateSteps(this.beforeSteps).then(function(before) {
+			if (hasProblems(before))
+				return { failures: [], errors: describeHookProblems('before', before), timedOut: before.timedOut };
+
+			return feature.evaluateSteps(feature.steps);
+		}).then(function(scenario) {
+			report = scenario;
+
+			if (report.timedOut)	// the driver may still be busy with the command that did not complete, so after steps would only wait for it in turn
+				return { failures: [], errors: [], timedOut: false };
+
+			return feature.evaluateSteps(feature.afterSteps);
+		}).then(function(after) {
+			if (feature.evaluation != evaluation)	// the feature timed out in the meantime, and has already been reported, or it was cancelled
+				return;
+
+			clearTimeout(timer);
+
+			report.errors = report.errors.concat(describeHookProblems('after', after));
+			report.timedOut = report.timedOut || after.timedOut;
+
+			if (hasProblems(report))
+				deferred.reject(report);
+			else
+				deferred.resolve();
+		}).end();
+
+		return deferred.promise;
+	},
+
+	/** Stops the current evaluation of this feature, if any.
+	* No further step is evaluated, and the promise returned by `test` is never settled. Commands already sent to the driver are not aborted.
+	*
+	*@return	This Feature, for chaining.
+	*/
+	cancel: function cancel() {
+		this.evaluation++;
+		this.currentStep = null;
+
+		return this;
+	},
+
+	/** Evaluates the given steps in order, going on with the next one whatever the outcome of the previous one.
+	*
+	* If a step does not complete within `stepTimeout`, an error naming it is reported and the following steps are not evaluated.
+	* If the evaluation of this feature is abandoned (i.e. it timed out or was cancelled), no further step is evaluated, and the returned promise is never resolved.
+	*
+	*@param	{Array.<function>}	steps	Steps, as loaded by `loadScenario`.
+	*@returns	{Promise}	A promise that is never rejected, resolved with a hash containing three keys:
+	*	• `failures`: an array of strings that describe reason(s) for failure(s);
+	*	• `errors`: an array of errors that arose when trying to evaluate the steps;
+	*	• `timedOut`: `true` if a step did not complete in time.
+	*@private
+	*/
+	evaluateSteps: function evaluateSteps(steps) {
+		var deferred = promises.defer(),
+			feature = this,
+			evaluation = this.evaluation,
 			stepIndex = -1;
 		
 		var evaluateNext,
 			failureReasons = {
 				failures: [],	// we differentiate between the two types
-				errors: []
+				errors: [],
+				timedOut: false
 			};
 		
 		var handleFailure = function handleFailure(message) {
@@ -169,24 +676,53 @@ var Feature = new Class( /** @lends Feature# */ {
 			evaluateNext();
 		}
 
-		function fulfillPromise(report) {
-			if (report.failures.length || report.errors.length)
-				return deferred.reject(report);
-			else
-				return deferred.resolve();
+		var watchStep = function watchStep(promise) {	// settles the current step with the given promise, unless it does not complete in time
+			var settled = false,
+				timer;
+
+			var settle = function(handler) {
+				return function(value) {
+					if (settled || feature.evaluation != evaluation)	// abandoned steps are not reported
+						return;
+
+					settled = true;
+					clearTimeout(timer);
+					handler(value);
+				}
+			}
+
+			promise.then(settle(evaluateNext), settle(handleFailure));
+
+			if (feature.stepTimeout) {
+				timer = setTimeout(settle(function() {
+					failureReasons.errors.push(new Error('Step ' + (stepIndex + 1) + ' (' + describeStep(steps[stepIndex]) + ') did not complete within ' + feature.stepTimeout + ' seconds'));
+					failureReasons.timedOut = true;
+					feature.currentStep = null;
+					deferred.resolve(failureReasons);	// the driver may be stuck, so following steps are not evaluated
+				}), feature.stepTimeout * 1000);
+			}
 		}
 		
-		evaluateNext = (function evalNext() {
+		evaluateNext = function evalNext() {
 			stepIndex++;
 
-			if (stepIndex == this.steps.length)
-				return fulfillPromise(failureReasons);
+			if (feature.evaluation != evaluation)	// abandoned, see `test` and `cancel`
+				return;
+
+			if (stepIndex == steps.length) {
+				feature.currentStep = null;
+				return deferred.resolve(failureReasons);
+			}
+
+			feature.currentStep = 'step ' + (stepIndex + 1) + ' (' + describeStep(steps[stepIndex]) + ')';
+
+			Hook.invalidateCache();	// elements are cached for one step at most
 			
 			try {
-				var result = this.steps[stepIndex]();
+				var result = steps[stepIndex]();
 				// unfortunately, [q.when](https://github.com/kriskowal/q#the-middle) is not compatible with WebDriver's Promises/A implementation, and we need to explicitly call `then` to reject thrown exceptions
 				if (result && typeof result.then == 'function')
-					result.then(evaluateNext, handleFailure);
+					watchStep(result);
 				else
 					evaluateNext();
 
@@ -194,7 +730,7 @@ var Feature = new Class( /** @lends Feature# */ {
 				failureReasons.errors.push(error);
 				evaluateNext();
 			}
-		}).bind(this);
+		}
 		
 		evaluateNext();	//TODO: make async
 		
@@ -203,4 +739,138 @@ var Feature = new Class( /** @lends Feature# */ {
 });
 
 
+/** Tells whether the given evaluation report contains any failure or error.
+*
+*@param	{Object}	report	A hash with `failures` and `errors` arrays.
+*@returns	{Boolean}
+*@private
+*/
+function hasProblems(report) {
+	return report.failures.length > 0 || report.errors.length > 0;
+}
+
+/** Names the given scenario step, for reports.
+*
+*@param	{Function}	step	A step, as loaded by `loadScenario`, or a function given in a scenario.
+*@returns	{String}	For example, "LoginWidget.login".
+*@private
+*/
+function describeStep(step) {
+	return step.displayName || step.name || 'anonymous function';
+}
+
+/** Describes all failures and errors of the given report as errors of the given hook.
+*
+*@param	{String}	hook	The name of the hook in which the problems happened, such as "before".
+*@param	{Object}	report	A hash with `failures` and `errors` arrays.
+*@returns	{Array.<String>}	One description per problem.
+*@private
+*/
+function describeHookProblems(hook, report) {
+	return report.failures.concat(report.errors).map(function(problem) {
+		return 'In "' + hook + '" steps: ' + (problem.message || problem);
+	});
+}
+
+/** Special values that may be used as expected values in widget state descriptions, to assert on the presence of elements rather than on their contents.
+* They are offered to test description files as the `Watai` global, for example: `{ 'LoginWidget.captcha': Watai.absent }`.
+*
+* Since their identity is checked, they are not redefined in each loading context.
+*
+*@see	#buildMatcher
+*/
+Feature.markers = {
+	/** The element should not be found on the page.
+	*/
+	absent:	{ toString: function() { return 'Watai.absent' } },
+	/** The element should either not be found on the page, or not be displayed.
+	*/
+	hidden:	{ toString: function() { return 'Watai.hidden' } }
+}
+
+/** Wraps the given function so that, when used as a scenario step, it fails the feature if it returns or resolves to a falsy value.
+* This is the step form for boolean expectations, such as the `has` method of widgets, that would otherwise simply be executed.
+* Offered to test description files in the `Watai` global, for example: `Watai.expect(LoginWidget.has), 'captcha'`.
+*
+*@param	{Function}	func	The function whose result should be checked. May return a promise.
+*@returns	{Function}	A function with the same parameters, returning a promise rejected with a readable description if the result of the given function was falsy.
+*/
+Feature.expect = function expect(func) {
+	var expectation = function expectation() {
+		var deferred = promises.defer(),
+			args = Array.prototype.slice.call(arguments);
+
+		function conclude(value) {
+			if (value) {
+				deferred.resolve();
+			} else {
+				deferred.reject((func.displayName || func.name || 'Expectation')
+								+ '(' + args.map(function(arg) {
+									return JSON.stringify(arg) || String(arg);
+								}).join(', ') + ')'
+								+ ' was expected to be true, but was ' + value);
+			}
+		}
+
+		var result = func.apply(this, args);
+
+		if (result && typeof result.then == 'function')
+			result.then(conclude, deferred.reject.bind(deferred));
+		else
+			conclude(result);
+
+		return deferred.promise;
+	}
+
+	expectation.displayName = 'Watai.expect(' + describeStep(func) + ')';
+
+	return expectation;
+}
+
+/** Time to wait between two evaluations of a widget state description that does not match yet, in milliseconds.
+*
+*@type	{Number}
+*@see	#assertState
+*/
+Feature.pollingDelay = 200;
+
+/** Maps qualifiers that may be appended to property paths in widget state descriptions to the way the qualified value is read.
+* Keys are names of qualifiers, as used after a colon in property paths, such as `MyWidget.myAttr:displayed`. Arguments are given in parentheses: `MyWidget.myAttr:css(color)`.
+* Values are functions that are passed the target WebElement and the qualifier argument, if any, and return a promise for the value to match. Functions that declare a second parameter require an argument.
+*
+* The `attribute` qualifier has a shortcut: `MyWidget.myAttr@placeholder` is equivalent to `MyWidget.myAttr:attribute(placeholder)`.
+*
+*@see	#parseQualifier
+*/
+Feature.qualifiers = {
+	attribute:	function(element, name) {
+		return element.getAttribute(name);
+	},
+	css:		function(element, property) {
+		return element.getCssValue(property);
+	},
+	displayed:	function(element) {
+		return element.isDisplayed();
+	},
+	enabled:	function(element) {
+		return element.isEnabled();
+	},
+	selected:	function(element) {
+		return element.isSelected();
+	}
+}
+
+/** Maps qualifiers that may be appended to property paths targeting collection hooks to the way the qualified value is read.
+* Values are functions that are passed the array of all matching WebElements and return the value to match, or a promise for it: `MyWidget.results:count` matches the number of results.
+*
+*@see	Widget
+*@see	#parseQualifier
+*/
+Feature.collectionQualifiers = {
+	count:	function(elements) {
+		return elements.length;
+	}
+}
+
+
 module.exports = Feature;	// CommonJS export
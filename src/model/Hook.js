@@ -1,64 +1,413 @@
-var webdriver = require('selenium-webdriverjs');
+var webdriver = require('selenium-webdriverjs'),
+	promises = require('q'),
+	pathsUtils = require('path');
 
 var logger = require('winston').loggers.get('steps');
 
 
 /**@class	A Hook allows one to target a specific element on a web page.
 * It is a wrapper around both a selector and its type (css, xpath, id…).
+* A hook may also target all elements matching its selector, in which case it is a _collection_ hook.
 *
-*@param	hook	A single value-pair hash whose key may be one of `css`, `id`, or any other value of Selenium's `By` class; and whose value must be a string of the matching form.
+* The element a hook points to is looked up once per cache generation, i.e. once per feature step and action, rather than on every access. Commands sent to a cached element that has gone stale, for example because the page re-rendered it, are transparently retried on a fresh lookup.
+*
+*@param	hook	A single value-pair hash whose key may be one of `css`, `id`, or any other value of Selenium's `By` class; and whose value must be a string of the matching form. If it is wrapped in an array, such as `[ { css: '.result' } ]`, the hook is a collection hook.
 *@param	driver	The WebDriver instance in which the described elements are to be sought.
+*@param	{Object}	[options]	A hash of optional settings:
+*	- `scope`: a hook to the element inside which the described elements are to be sought. If not set, they are sought in the whole page;
+*	- `cache`: set to `false` to look the element up on every access. Defaults to `true`.
+*@see	Hook.invalidateCache
 */
-var Hook = function Hook(hook, driver) {
+var Hook = function Hook(hook, driver, options) {
+	options = options || {};
+
+	/** Whether this hook targets all elements matching its selector rather than the first one.
+	*@type	{Boolean}
+	*/
+	this.collection = (Object.prototype.toString.call(hook) == '[object Array]');	// may come from another context, so we can't rely on Array.isArray
+
+	if (this.collection)
+		hook = hook[0];
+
 	this.type = Object.getOwnPropertyNames(hook)[0];
 	this.selector = hook[this.type];
 	
 	this.driver = driver;
+
+	this.scope = options.scope || null;
+
+	/** Whether the element this hook points to is kept between accesses, until the cache is invalidated.
+	*@type	{Boolean}
+	*/
+	this.caching = (options.cache !== false);
+
+	/** The element found by the last lookup, along with the cache generation in which it was looked up, or `null` if there is none.
+	*@type	{Object}
+	*@private
+	*/
+	this.cached = null;
+
+	/** Returns the object in which elements should be sought: the element pointed by the scope hook if any, the driver otherwise.
+	*
+	*@return	{WebDriver|WebElement}
+	*@private
+	*/
+	this.getSearchContext = function getSearchContext() {
+		return (this.scope ? this.scope.toSeleniumElement() : this.driver);
+	}
 	
 	/** Returns the element this hook points to in the given driver, as an object with all WebDriver methods.
+	* The element is reused until the cache is invalidated, unless caching is disabled for this hook. Failed lookups are not cached, so that elements appearing later on are found.
 	*
 	*@see	http://seleniumhq.org/docs/03_webdriver.html
+	*@see	Hook.invalidateCache
 	*@private
 	*/
 	this.toSeleniumElement = function toSeleniumElement() {
-		return this.driver.findElement(webdriver.By[this.type](this.selector)); //TODO: cache?
+		if (this.caching && this.cached && this.cached.generation == cacheGeneration)
+			return this.cached.element;
+
+		var hook = this,
+			entry = {
+				generation:	cacheGeneration,
+				element:	this.makeStaleSafe(this.findElement())
+			};
+
+		if (this.caching) {
+			this.cached = entry;
+
+			entry.element.then(null, function() {
+				if (hook.cached === entry)
+					hook.cached = null;
+			});
+		}
+
+		return entry.element;
+	}
+
+	/** Looks up the element this hook points to, bypassing the cache.
+	*
+	*@return	{WebElement}
+	*@private
+	*/
+	this.findElement = function findElement() {
+		return this.getSearchContext().findElement(webdriver.By[this.type](this.selector));
+	}
+
+	/** Wraps the given element so that commands failing because it has gone stale are retried once on a fresh lookup.
+	* The wrapper inherits from the element, so that it can be used wherever a WebElement is expected.
+	*
+	*@param	{WebElement}	element	The element to wrap.
+	*@return	{WebElement}
+	*@see	Hook.retriedCommands
+	*@private
+	*/
+	this.makeStaleSafe = function makeStaleSafe(element) {
+		var hook = this,
+			result = Object.create(element);
+
+		Hook.retriedCommands.forEach(function(command) {
+			result[command] = function() {
+				var args = arguments;
+
+				var outcome = element[command].apply(element, args).then(null, function(error) {
+					if (! isStale(error))
+						throw error;
+
+					logger.debug('	- ' + hook.type + ' "' + hook.selector + '" went stale, looking it up again');
+
+					Hook.invalidateCache();	// the scope of this hook, or other cached elements, may be stale too
+					var fresh = hook.findElement();
+
+					return fresh[command].apply(fresh, args);
+				});
+
+				if (command == 'findElement')	// keep the result usable as a WebElement, so that commands can be chained on it
+					return new webdriver.WebElement(element.getDriver(), outcome);
+
+				return outcome;
+			}
+		});
+
+		return result;
+	}
+
+	/** Returns all elements this hook matches in the given driver.
+	* Beware: if no element matches, the returned promise is resolved only once the driver's implicit wait timeout has expired.
+	*
+	*@return	{Promise}	A promise for an array of WebElements, possibly empty.
+	*@private
+	*/
+	this.toSeleniumElements = function toSeleniumElements() {
+		return this.getSearchContext().findElements(webdriver.By[this.type](this.selector));
 	}
 	
-	/** Sends the given sequence of keystrokes to the element pointed by this hook.
+	/** Returns the element at the given index among all elements this hook matches.
+	*
+	*@param	{Number}	index	The index of the element, starting at 0.
+	*@return	{Promise}	A promise for a WebElement, rejected if there is no element at the given index.
+	*@private
+	*/
+	this.item = function item(index) {
+		var deferred = promises.defer(),
+			description = 'No element at index ' + index + ' of ' + this.type + ' "' + this.selector + '"';
+
+		this.toSeleniumElements().then(function(elements) {
+			if (index >= 0 && index < elements.length)
+				deferred.resolve(elements[index]);
+			else
+				deferred.reject(new Error(description + ' (found ' + elements.length + ')'));
+		}, deferred.reject.bind(deferred));
+
+		return deferred.promise;
+	}
+
+	/** Counts the elements this hook matches.
 	*
-	*@param	input	A string that will be sent to this element.
-	*@see	http://seleniumhq.org/docs/03_webdriver.html#sendKeys
+	*@return	{Promise}	A promise for the number of matching elements.
+	*@private
+	*/
+	this.count = function count() {
+		var deferred = promises.defer();
+
+		this.toSeleniumElements().then(function(elements) {
+			deferred.resolve(elements.length);
+		}, deferred.reject.bind(deferred));
+
+		return deferred.promise;
+	}
+
+	/** Returns the texts of all elements this hook matches, in document order.
+	*
+	*@return	{Promise}	A promise for an array of strings.
+	*@private
+	*/
+	this.texts = function texts() {
+		var deferred = promises.defer();
+
+		this.toSeleniumElements().then(function(elements) {
+			promises.all(elements.map(function(element) {
+				var text = promises.defer();
+				element.getText().then(text.resolve.bind(text), text.reject.bind(text));	// WebDriver promises are not assimilated by q
+				return text.promise;
+			})).then(deferred.resolve.bind(deferred), deferred.reject.bind(deferred));
+		}, deferred.reject.bind(deferred));
+
+		return deferred.promise;
+	}
+
+	/** Returns the object exposed by widgets for this hook when it is a collection hook.
+	*
+	*@return	{Object}	A hash with `item(index)`, `count()`, `texts()` and `elements()` methods, each returning a promise.
+	*@private
+	*/
+	this.toCollection = function toCollection() {
+		return {
+			item:		this.item.bind(this),
+			count:		this.count.bind(this),
+			texts:		this.texts.bind(this),
+			elements:	this.toSeleniumElements.bind(this)
+		}
+	}
+	
+	/** Sets the value of the element pointed by this hook, in a way that depends on its type.
+	*
+	*@param	input	The value to set.
+	*@see	Hook.setValue
 	*@private
 	*/
 	this.handleInput = function handleInput(input) {
-		var elm = this.toSeleniumElement();
-		elm.clear();
-		elm.sendKeys(input);
+		return Hook.setValue(this.toSeleniumElement(), input);
 	}
 }
 
 /** Adds a getter and a setter to the given Object, allowing access to the Selenium element corresponding to the given hook description.
-* The getter dynamically retrieves the Selenium element pointed at by the given selector description.
-* The setter will pass the value to the `Hook.handleInput` method.
+* The getter dynamically retrieves the Selenium element pointed at by the given selector description, or, for collection hooks, returns an object giving access to all matching elements.
+* The setter will pass the value to the `Hook.handleInput` method, then invalidate the cache of all hooks. Collection hooks can not be set.
 *
 *@param	target	The Object to which the getter and setter will be added.
 *@param	key	The name of the property to add to the target object.
 *@param	typeAndSelector	A hook descriptor, as defined in the Hook constructor.
 *@param	driver	The WebDriver instance in which the described elements are to be sought.
+*@param	{Object}	[options]	Settings of the hook, as defined in the Hook constructor.
+*
+*@return	{Hook}	The created Hook.
 *
 *@see	Hook
 *@see	Hook#handleInput
 */
-Hook.addHook = function addHook(target, key, typeAndSelector, driver) {
-	var hook = new Hook(typeAndSelector, driver);
+Hook.addHook = function addHook(target, key, typeAndSelector, driver, options) {
+	var hook = new Hook(typeAndSelector, driver, options);
 	target.__defineGetter__(key, function() {			
-		return hook.toSeleniumElement(hook);
+		return (hook.collection ? hook.toCollection() : hook.toSeleniumElement(hook));
 	});
 	target.__defineSetter__(key, function(input) {
+		if (hook.collection)
+			throw new Error('"' + key + '" is a collection of elements, it can not be set');
+
 		logger.info('	- set ' + target.name + '’s ' + key + ' to “' + input + '”');
 		
 		hook.handleInput(input);
+		Hook.invalidateCache();	// the page may have changed
+	});
+
+	return hook;
+}
+
+/** Identifies the current cache generation. Elements looked up in a previous generation are looked up again.
+* Shared by all drivers: invalidating more often than needed only costs a lookup.
+*@type	{integer}
+*@private
+*/
+var cacheGeneration = 0;
+
+/** Discards all elements cached by hooks, so that they are looked up again on their next access.
+* Called before each feature step and after each widget action, since they may change the page.
+*/
+Hook.invalidateCache = function invalidateCache() {
+	cacheGeneration++;
+}
+
+/** Names of the WebElement commands that are retried on a fresh lookup when they fail because the element has gone stale.
+* `findElement` still returns a WebElement, so that commands can be chained on its result, as when reading back the selected option of a `select`.
+*@type	{Array.<String>}
+*/
+Hook.retriedCommands = [ 'click', 'sendKeys', 'clear', 'submit', 'getTagName', 'getAttribute', 'getCssValue', 'getText', 'getSize', 'getLocation', 'isEnabled', 'isSelected', 'isDisplayed', 'getOuterHtml', 'getInnerHtml', 'findElement', 'findElements' ];
+
+/** Sets the value of the given element, in a way that depends on its type:
+* - for `select` elements, chooses the option whose visible text or value is the given one;
+* - for checkboxes and radio buttons, checks or unchecks the element according to the truthiness of the given value;
+* - for file inputs, uploads the file at the given path, resolved from the current working directory;
+* - for any other element, replaces its content with the given sequence of keystrokes.
+*
+*@param	{WebElement}	element	The element whose value is to be set.
+*@param	value	The value to set.
+*@return	{webdriver.promise.Promise}	A promise resolved once the value has been set, rejected if it could not be.
+*@see	http://seleniumhq.org/docs/03_webdriver.html#sendKeys
+*/
+Hook.setValue = function setValue(element, value) {
+	return getInputType(element).then(function(type) {
+		switch (type) {
+			case 'select':
+				return Hook.chooseOption(element, value);
+			case 'checkbox':
+			case 'radio':
+				return Hook.setChecked(element, value);
+			case 'file':
+				return element.sendKeys(pathsUtils.resolve(String(value)));
+			default:
+				element.clear();
+				return element.sendKeys(value);
+		}
+	});
+}
+
+/** Reads the value of the given element, in a way that depends on its type:
+* - for `select` elements, the visible text of the selected option;
+* - for checkboxes and radio buttons, whether they are checked or not;
+* - for any other element, its text content, or its `value` attribute if it has no text content.
+*
+*@param	{WebElement}	element	The element whose value is to be read.
+*@return	{webdriver.promise.Promise}	A promise for the value.
+*/
+Hook.readValue = function readValue(element) {
+	return getInputType(element).then(function(type) {
+		switch (type) {
+			case 'select':
+				return element.findElement(webdriver.By.css('option:checked')).getText();
+			case 'checkbox':
+			case 'radio':
+				return element.isSelected();
+			default:
+				return element.getText().then(function(text) {
+					return text || element.getAttribute('value');	// it could be that it is an input field and we need to compare the value
+				});
+		}
+	});
+}
+
+/** Selects the option of the given `select` element whose visible text or value is the given one.
+*
+*@param	{WebElement}	element	A `select` element.
+*@param	{String}	value	The visible text or value of the option to select.
+*@return	{webdriver.promise.Promise}	A promise resolved once the option has been selected, rejected if there is no such option.
+*/
+Hook.chooseOption = function chooseOption(element, value) {
+	var literal = toXPathLiteral(String(value));
+
+	return element.findElement(webdriver.By.xpath('.//option[normalize-space(.) = ' + literal + ' or @value = ' + literal + ']')).click();
+}
+
+/** Checks or unchecks the given checkbox or radio button.
+* Radio buttons can not be unchecked directly: check another button of the same group instead.
+*
+*@param	{WebElement}	element	A checkbox or radio button.
+*@param	{Boolean}	checked	Whether the element should be checked.
+*@return	{webdriver.promise.Promise}	A promise resolved once the element is in the given state.
+*/
+Hook.setChecked = function setChecked(element, checked) {
+	return element.isSelected().then(function(selected) {
+		if (selected != !! checked)
+			return element.click();
+	});
+}
+
+
+/** Tells whether the given error was raised by WebDriver because an element is no longer attached to the page.
+*
+*@param	error	A rejection reason.
+*@return	{Boolean}
+*@private
+*/
+function isStale(error) {
+	return !! error && (error.code == STALE_ELEMENT_REFERENCE || error.name == 'StaleElementReferenceError');
+}
+
+/** WebDriver wire protocol status code for stale element references.
+*@type	{integer}
+*@private
+*/
+var STALE_ELEMENT_REFERENCE = 10;
+
+/** Tells the type of input the given element is.
+*
+*@param	{WebElement}	element
+*@return	{webdriver.promise.Promise}	A promise for one of "select", "checkbox", "radio", "file", or "text" for any other element.
+*@private
+*/
+function getInputType(element) {
+	return element.getTagName().then(function(tagName) {
+		tagName = tagName.toLowerCase();
+
+		if (tagName == 'select')
+			return 'select';
+
+		if (tagName != 'input')
+			return 'text';
+
+		return element.getAttribute('type').then(function(type) {
+			type = (type || '').toLowerCase();
+
+			return ([ 'checkbox', 'radio', 'file' ].indexOf(type) >= 0 ? type : 'text');
+		});
 	});
 }
 
+/** Quotes the given string as an XPath string literal.
+* XPath 1.0 has no escape sequences, so strings containing both kinds of quotes have to be concatenated.
+*
+*@param	{String}	string
+*@return	{String}
+*@private
+*/
+function toXPathLiteral(string) {
+	if (string.indexOf('"') < 0)
+		return '"' + string + '"';
+
+	if (string.indexOf("'") < 0)
+		return "'" + string + "'";
+
+	return 'concat("' + string.split('"').join('", \'"\', "') + '")';
+}
+
 module.exports = Hook;	// CommonJS export
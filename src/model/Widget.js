@@ -1,4 +1,5 @@
-var promises = require('q');
+var webdriver = require('selenium-webdriverjs'),
+	promises = require('q');
 
 var logger = require('winston').loggers.get('steps');
 
@@ -12,70 +13,183 @@ var Widget = new Class( /** @lends Widget# */ {
 	*/
 	name: '',
 
+	/** Hooks to all elements of this widget, indexed on their names.
+	* Accessing an element through this hash does not trigger any lookup on the page.
+	*@type	{Object.<String, Hook>}
+	*@private
+	*/
+	hooks: {},
+
+	/** Widgets nested in this one, indexed on their names.
+	* They are also available as properties of this widget.
+	*@type	{Object.<String, Widget>}
+	*/
+	widgets: {},
+
+	/** Hook to the element inside which all elements of this widget are sought, or `null` if they are sought in the whole page.
+	*@type	{Hook}
+	*@private
+	*/
+	scope: null,
+
+	/** Rules generating magic methods from element names, indexed on their names.
+	*@type	{Object.<String, Object>}
+	*@see	Widget.magic
+	*@private
+	*/
+	magic: null,
+
 	/**@class	Models a set of controls on a website.
 	*
 	*@constructs
 	*@param	name	Name of this widget.
 	*@param	values	A hash with the following form:
-	*	`elements`: a hash mapping attribute names to a hook. A hook is a one-pair hash mapping a selector type to an actual selector.
+	*	`elements`: a hash mapping attribute names to a hook. A hook is a one-pair hash mapping a selector type to an actual selector. Wrapping it in an array makes a collection hook, matching all elements instead of the first one (see `Hook`).
+	*	`root`: optional, a hook to the element that contains all elements of this widget, which are then sought only inside it. Made available as the `root` element.
+	*	`widgets`: optional, a hash mapping names to descriptions of nested widgets, in the same form as this one. Their elements are sought inside the root of this widget, and they are made available as properties of this widget, so that their elements can be referred to with paths such as `Header.Search.field`.
 	*	a series of methods definitions, i.e. `name: function name(…) { … }`, that will be made available
 	*@param	driver	The WebDriver instance in which this widget should look for its elements.
+	*@param	{Object}	[options]	A hash of optional settings:
+	*	- `parent`: the widget in which this one is nested, if any;
+	*	- `magic`: rules generating magic methods from element names, as built by `Widget.buildMagic`. Defaults to `Widget.magic`;
+	*	- `cacheElements`: set to `false` to look elements up on every access instead of once per feature step and action (see `Hook`). Defaults to `true`.
 	*/
-	initialize: function init(name, values, driver) {
+	initialize: function init(name, values, driver, options) {
+		options = options || {};
+
 		this.name = name;
+		this.magic = options.magic || Widget.magic;
 		
+		var widget = this,
+			parent = options.parent,
+			caching = (options.cacheElements !== false);
+
+		this.scope = (parent ? parent.scope : null);
+
+		if (values.root) {
+			this.hooks.root = Hook.addHook(widget, 'root', values.root, driver, { scope: this.scope, cache: caching });
+			this.scope = this.hooks.root;
+		}
+
+		delete values.root;
 		
-		var widget = this;
-		
-		Object.each(values.elements, function(typeAndSelector, key) {
-			Hook.addHook(widget, key, typeAndSelector, driver);
-			widget.addMagic(key);
+		var elements = values.elements || {};
+
+		Object.each(elements, function(typeAndSelector, key) {
+			widget.hooks[key] = Hook.addHook(widget, key, typeAndSelector, driver, { scope: widget.scope, cache: caching });
 		});
 		
 		delete values.elements;
+
+		Object.each(values.widgets, function(description, key) {
+			widget.widgets[key] = widget[key] = new Widget(widget.name + '.' + key, description, driver, {
+				parent:			widget,
+				magic:			widget.magic,
+				cacheElements:	caching
+			});
+		});
+
+		delete values.widgets;
+
+		Object.each(elements, function(typeAndSelector, key) {
+			widget.addMagic(key, values);	// once all other members are known, so that conflicts can be detected
+		});
 		
 		Object.each(values, function(method, key) {
 			widget[key] = function() {
 				logger.info('	- did ' + key + ' ' + Array.prototype.slice.call(arguments).join(', '));
 				
-				return method.apply(widget, arguments);	//TODO: handle elements overloading
+				var result = method.apply(widget, arguments);	//TODO: handle elements overloading
+				Hook.invalidateCache();	// the page may have changed
+
+				return result;
 			}
+
+			widget[key].displayName = widget.name + '.' + key;	// used in failure reports
 		});
 		
 		this.has = this.has.bind(this);
+		this.has.displayName = this.name + '.has';
 	},
 	
 	/** Add magic methods on specially-formatted elements.
-	* _Example: "loginLink" makes the `loginLink` element available to the widget, but also generates the `login()` method, which automagically calls `click` on `loginLink`.
+	* _Example: "loginLink" makes the `loginLink` element available to the widget, but also generates the `login()` method, which automagically calls `click` on `loginLink`._
+	* Arguments given to the generated method are passed to the action: `nameField` generates `name(value)`, which sets the value of `nameField`.
+	* For collection hooks, the generated method takes the index of the targeted element first, defaulting to the first one. _Example: `resultLink: [ { css: '.result a' } ]` generates `result(index)`._
+	*
+	* If the generated name is already taken by an element, a nested widget, an explicitly defined method or a built-in member of widgets (such as `name` or `has`), or if several rules match the element name, no method is generated and a warning is logged.
 	*
+	*@param	{String}	key	The name of the element.
+	*@param	{Object}	methods	The methods explicitly defined in the description of this widget, indexed on their names.
 	*@see	Widget.magic
 	*@private
 	*/
-	addMagic: function addMagic(key) {
-		var widget = this;
+	addMagic: function addMagic(key, methods) {
+		var widget = this,
+			generated = null;
 		
-		Object.each(Widget.magic, function(matcher, method) {
-			var matches = matcher.exec(key);
-			if (matches) {	// `exec` returns `null` if no match was found
-				var basename = matches[1];
-				widget[basename] = function() {
-					logger.info('	- ' + method + 'ed “' + basename + '”');
-					
-					return widget[key][method]();
-				}	// no immediate access to avoid calling the getter, which would trigger a Selenium access
+		Object.each(this.magic, function(rule, ruleName) {
+			var matches = rule.matcher.exec(key);
+
+			if (! matches)	// `exec` returns `null` if no match was found
+				return;
+
+			var basename = matches[1];
+
+			if (generated) {
+				logger.warn('Element "' + key + '" of widget "' + widget.name + '" matches both the "' + generated + '" and "' + ruleName + '" magic rules; only the first one was applied.');
+				return;
 			}
+
+			generated = ruleName;
+
+			if (Object.prototype.hasOwnProperty.call(methods, basename)
+				|| basename in widget) {	// elements, nested widgets, previously generated methods, but also built-in members such as `name` or `has`
+				logger.warn('The magic "' + ruleName + '" method "' + basename + '" generated by element "' + key + '" of widget "' + widget.name + '" conflicts with an existing member of the same name, and was not generated.');
+				return;
+			}
+
+			widget[basename] = function() {
+				var hook = widget.hooks[key],
+					args = Array.prototype.slice.call(arguments),
+					index = (hook.collection ? args.shift() || 0 : null);
+
+				logger.info('	- ' + rule.description + ' “' + basename + '”' + (hook.collection ? ' #' + index : '') + (args.length ? ' with ' + args.join(', ') : ''));
+
+				function act(element) {
+					var result = rule.action.apply(null, [ element ].concat(args));
+					Hook.invalidateCache();	// the page may have changed
+
+					return result;
+				}
+
+				if (hook.collection)
+					return hook.item(index).then(act);
+				
+				return act(widget[key]);
+			}	// no immediate access to avoid calling the getter, which would trigger a Selenium access
+
+			widget[basename].displayName = widget.name + '.' + basename;
 		});
 	},
 	
 	/** Checks that the given element is found on the page.
+	* For collection hooks, checks that at least one element is found.
+	* The element is always looked up again, bypassing the cache of its hook.
 	*
 	*@param	{String}	attribute	The name of the element whose presence is to be checked.
 	*@returns	{Promise}	A promise that passes its `then`handler a `boolean`, whether the element was found or not.
+	*@throws	{Error}	If this widget declares no element with the given name.
 	*/
 	has: function has(attribute) {
-		var deferred = promises.defer();
+		if (! Object.prototype.hasOwnProperty.call(this.hooks, attribute))
+			throw new Error('Widget "' + this.name + '" has no element "' + attribute + '". Known elements are: ' + (Object.keys(this.hooks).join(', ') || 'none') + '.');
+
+		var deferred = promises.defer(),
+			hook = this.hooks[attribute],
+			lookup = (hook.collection ? hook.item(0) : hook.findElement());
 	
-		this[attribute].then(function() {
+		lookup.then(function() {
 				logger.info('	-', attribute, 'is present on the page');
 
 				deferred.resolve(true);
@@ -90,17 +204,125 @@ var Widget = new Class( /** @lends Widget# */ {
 	}
 });
 
-/** Maps magic element regexps from the action that should be generated.
+/** Actions that magic methods may perform on elements, indexed on their names.
+* Each action is passed the targeted WebElement and the arguments given to the magic method, and returns a promise.
+*
+*@see	Widget.magic
+*/
+Widget.actions = {
+	/** Clicks the element.
+	*/
+	click: function click(element) {
+		return element.click();
+	},
+
+	/** Sets the value of the element, in a way that depends on its type.
+	*@see	Hook.setValue
+	*/
+	setValue: function setValue(element, value) {
+		return Hook.setValue(element, value);
+	},
+
+	/** Toggles the element if no state is given, otherwise checks or unchecks it.
+	*@see	Hook.setChecked
+	*/
+	check: function check(element, checked) {
+		if (typeof checked == 'undefined')
+			return element.click();
+
+		return Hook.setChecked(element, checked);
+	},
+
+	/** Selects the option of the element whose visible text or value is the given one.
+	*@see	Hook.chooseOption
+	*/
+	choose: function choose(element, value) {
+		return Hook.chooseOption(element, value);
+	},
+
+	/** Moves the mouse over the element.
+	*/
+	hover: function hover(element) {
+		return element.getDriver().actions().mouseMove(element).perform();
+	}
+}
+
+/** Rules generating magic methods from element names, indexed on their names.
 * _Example: "loginLink" makes the `loginLink` element available to the widget, but also generates the `login()` method, which automagically calls `click` on `loginLink`._
 *
-* Keys are names of the methods that should be added to the element, and values are regexps that trigger the magic.
-* The name of the generated member is the content of the first capturing parentheses match in the regexp.
+* Each rule is a hash with the following keys:
+*	- `matcher`: a regexp that element names have to match to trigger the magic. The name of the generated method is the content of its first capturing parentheses match;
+*	- `action`: a function that performs the action on the element, as defined in `Widget.actions`;
+*	- `description`: the past participle describing the action in logs.
 *
+* Suites may add their own rules through the `magic` configuration key.
+*
+*@see	Widget.buildMagic
 *@see	RegExp#exec
-*@private
 */
 Widget.magic = {
-	click: /(.+)Link$/
+	link:		{ matcher: /(.+)Link$/,		action: Widget.actions.click,		description: 'clicked' },
+	button:		{ matcher: /(.+)Button$/,	action: Widget.actions.click,		description: 'clicked' },
+	field:		{ matcher: /(.+)Field$/,	action: Widget.actions.setValue,	description: 'set' },
+	checkbox:	{ matcher: /(.+)Checkbox$/,	action: Widget.actions.check,		description: 'checked' },
+	select:		{ matcher: /(.+)Select$/,	action: Widget.actions.choose,		description: 'chose in' },
+	hover:		{ matcher: /(.+)Hover$/,	action: Widget.actions.hover,		description: 'hovered' }
+}
+
+/** Creates a set of magic rules made of the default ones, extended with the given ones.
+* Given rules are hashes that may have the following keys:
+*	- `matcher`: a regexp, or the source of a regexp, with a capturing parentheses group for the name of the generated method;
+*	- `suffix`: a shortcut for `matcher`, generating methods for elements whose name end with the given suffix;
+*	- `action`: a function, passed the targeted WebElement and the arguments given to the magic method and returning a promise, or the name of one of `Widget.actions`, or the name of a WebElement method. Defaults to `click`;
+*	- `description`: the past participle describing the action in logs. Defaults to the name of the rule.
+* Giving `null` instead of a rule removes the default rule with the same name.
+*
+*@param	{Object.<String, Object>}	[rules]	Additional rules, indexed on their names. Rules with the same name as a default one replace it.
+*@returns	{Object.<String, Object>}	Rules to be passed to widgets.
+*@throws	{Error}	If a rule has no matcher, or an action that can not be resolved.
+*@see	Widget.magic
+*/
+Widget.buildMagic = function buildMagic(rules) {
+	var result = Object.append({}, Widget.magic);
+
+	Object.each(rules || {}, function(rule, name) {
+		if (! rule) {
+			delete result[name];
+			return;
+		}
+
+		var matcher = rule.matcher || (rule.suffix && '(.+)' + rule.suffix + '$'),
+			action = rule.action || 'click';
+
+		if (! matcher)
+			throw new Error('Magic rule "' + name + '" needs a "matcher" or a "suffix"');
+
+		if (typeof matcher == 'string')
+			matcher = new RegExp(matcher);
+
+		if (typeof action == 'string') {
+			var actionName = action;
+
+			if (Widget.actions[actionName]) {
+				action = Widget.actions[actionName];
+			} else if (typeof webdriver.WebElement.prototype[actionName] == 'function') {
+				action = function(element) {
+					return element[actionName].apply(element, Array.prototype.slice.call(arguments, 1));
+				}
+			}
+		}
+
+		if (typeof action != 'function')
+			throw new Error('Magic rule "' + name + '" refers to an unknown action "' + rule.action + '"');
+
+		result[name] = {
+			matcher:		matcher,
+			action:			action,
+			description:	rule.description || name
+		}
+	});
+
+	return result;
 }
 
 module.exports = Widget;	// CommonJS export
@@ -0,0 +1,121 @@
+/**@namespace A command-line interface that presents a summary of all suites evaluated by an Orchestrator.
+*/
+var OrchestratorCLI = {};
+
+var animator = require('../lib/cli-animator');
+
+
+/** Symbols and types used to present suites and totals, indexed on suite status.
+*@private
+*/
+var STYLES = {
+	success:	{ symbol: '✔', type: 'info' },
+	failure:	{ symbol: '✘', type: 'warn' },
+	error:		{ symbol: '⚠', type: 'error' }
+}
+
+
+/** Presents, for each suite, the count of passed, failed, errored and skipped features along with its duration, then totals.
+* For suites evaluated in several browsers, features that passed in some browsers but not in others are listed.
+* Features that passed only after being retried are listed too, so that flaky features can be spotted.
+*@param	{Array.<Object>}	reports	Reports of all suites, as given by `Orchestrator#getReports`.
+*/
+OrchestratorCLI.end = function onEnd(reports) {
+	var total = makeCounts(),
+		duration = 0,
+		status = 'success';
+
+	animator.write('\nSummary\n–––––––\n');
+
+	reports.forEach(function(report) {
+		var counts = makeCounts(),
+			style = STYLES[report.status];
+
+		report.results.forEach(function(result) {
+			counts[result.status]++;
+			total[result.status]++;
+		});
+
+		duration += report.duration;
+
+		if (report.status != 'success')
+			status = 'failure';
+
+		animator.log(style.symbol, style.type, report.name + ': ' + describeCounts(counts) + ' (' + toSeconds(report.duration) + ')');
+
+		if (report.error)
+			animator.log('   ↳', 'cyan', report.error.message || report.error, 'cyan');
+
+		showDivergences(report.results);
+		showRetried(report.results);
+	});
+
+	animator.write('\n');
+	animator.log(STYLES[status].symbol, STYLES[status].type, 'Total: ' + describeCounts(total) + ' in ' + reports.length + ' suite' + (reports.length > 1 ? 's' : '') + ' (' + toSeconds(duration) + ')');
+}
+
+
+/** Creates a hash counting features, indexed on result status.
+*@private
+*/
+function makeCounts() {
+	return { success: 0, failure: 0, error: 0, skipped: 0 };
+}
+
+/** Presents features that passed in some browsers and failed or raised errors in others.
+*@param	{Array.<Object>}	results	Feature results of a suite, as given by `Runner#getResults`.
+*@private
+*/
+function showDivergences(results) {
+	var statuses = {};	// feature description -> browser label -> status
+
+	results.forEach(function(result) {
+		if (! result.browser)
+			return;
+
+		var description = result.feature.description;
+		statuses[description] = statuses[description] || {};
+		statuses[description][result.browser] = result.status;
+	});
+
+	Object.each(statuses, function(browsers, description) {
+		var passing = Object.keys(Object.filter(browsers, function(status) { return status == 'success' })),
+			failing = Object.keys(Object.filter(browsers, function(status) { return status == 'failure' || status == 'error' }));
+
+		if (passing.length > 0 && failing.length > 0)
+			animator.log('   ≠', 'yellow', description + ': passes in ' + passing.join(', ') + ' but fails in ' + failing.join(', '), 'yellow');
+	});
+}
+
+/** Presents features that passed only after having been retried.
+*@param	{Array.<Object>}	results	Feature results of a suite, as given by `Runner#getResults`.
+*@private
+*/
+function showRetried(results) {
+	results.forEach(function(result) {
+		if (result.status == 'success' && result.attempts > 1)
+			animator.log('   ↻', 'yellow', result.feature.description + (result.browser ? ' (' + result.browser + ')' : '') + ': passed after ' + result.attempts + ' attempts', 'yellow');
+	});
+}
+
+/** Presents the given counts in plain text.
+*@private
+*/
+function describeCounts(counts) {
+	var result = counts.success + ' passed, ' + counts.failure + ' failed, ' + counts.error + ' errored';
+
+	if (counts.skipped)
+		result += ', ' + counts.skipped + ' skipped';
+
+	return result;
+}
+
+/** Presents the given milliseconds count in seconds.
+*@private
+*/
+function toSeconds(milliseconds) {
+	return (milliseconds / 1000).toFixed(1) + ' s';
+}
+
+
+module.exports = OrchestratorCLI;	// CommonJS export
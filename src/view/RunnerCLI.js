@@ -4,9 +4,19 @@ var RunnerCLI = {};
 
 var animator = require('../lib/cli-animator');
 
-/** Informs user that the emitting Runner is waiting for the browser.
+/** Presents the name of the emitting Runner’s suite and its environment, and informs user that it is waiting for the browser.
 */
 RunnerCLI.beforeRun = function onBeforeRun() {
+	var name = this.getLabel();
+
+	if (this.config.env)
+		name += ' [' + this.config.env + ']';
+
+	if (name) {
+		var underline = name.replace(/./g, '–');
+		animator.write(underline + '\n' + name + '\n' + underline + '\n');
+	}
+
 	animator.spin('waiting for browser…');
 }
 
@@ -27,27 +37,52 @@ RunnerCLI.featureStart = function onFeatureStart(feature) {
 *@param	{Feature}	feature	The feature whose results are given.
 */
 RunnerCLI.featureSuccess = function onFeatureSuccess(feature) {
-	animator.log('✔', 'info', feature.description);
+	animator.log('✔', 'info', feature.description + describeAttempts(this));
+}
+
+/** Informs the user that a feature did not succeed and is about to be evaluated again.
+*@param	{Feature}	feature	The feature that will be retried.
+*@param	{Number}	attempt	The number of the attempt that did not succeed.
+*@param	{Array.<String>}	reasons	An array of strings giving details on what went wrong.
+*/
+RunnerCLI.featureRetry = function onFeatureRetry(feature, attempt, reasons) {
+	animator.log('↻', 'debug', feature.description + ' (attempt ' + attempt + ' failed, retrying)', 'debug');
+
+	reasons.forEach(function(reason) {
+		animator.log('   ↳', 'debug', reason, 'debug');
+	});
+}
+
+/** Informs the user that a feature was not evaluated.
+*@param	{Feature}	feature	The skipped feature.
+*@param	{String}	reason	Why the feature was skipped.
+*/
+RunnerCLI.featureSkip = function onFeatureSkip(feature, reason) {
+	animator.log('○', 'debug', feature.description + ' (skipped: ' + reason + ')', 'debug');
 }
 
 /** Presents details of a test failure to the user.
 *@param	{Feature}	feature	The feature whose results are given.
 *@param	{Array.<String>}	failures	An array of strings giving details on failures.
+*@param	{Object.<String, String>}	[artifacts]	Paths to files saved to document the failure.
 */
-RunnerCLI.featureFailure = function onFeatureFailure(feature, failures) {
-	animator.log('✘', 'warn', feature.description, 'warn');
+RunnerCLI.featureFailure = function onFeatureFailure(feature, failures, artifacts) {
+	animator.log('✘', 'warn', feature.description + describeAttempts(this), 'warn');
 
 	failures.forEach(function(failure) {
 		animator.log('   ↳', 'cyan', failure, 'cyan');
 	});
+
+	showArtifacts(artifacts);
 }
 
 /** Presents details of a test error to the user.
 *@param	{Feature}	feature	The feature whose results are given.
 *@param	{Array.<String>}	errors	An array of strings giving details on errors.
+*@param	{Object.<String, String>}	[artifacts]	Paths to files saved to document the error.
 */
-RunnerCLI.featureError = function onFeatureError(feature, errors) {
-	animator.log('⚠', 'error', feature.description);
+RunnerCLI.featureError = function onFeatureError(feature, errors, artifacts) {
+	animator.log('⚠', 'error', feature.description + describeAttempts(this));
 	
 	errors.forEach(function(error) {
 		animator.log('   ↳', 'cyan', error, 'cyan');
@@ -55,6 +90,56 @@ RunnerCLI.featureError = function onFeatureError(feature, errors) {
 		if (error.stack)
 			animator.log('	', 'verbose', error.stack, 'verbose');
 	});
+
+	showArtifacts(artifacts);
+}
+
+/** Presents details of a setup failure to the user, which makes all features of the suite skipped.
+*@param	{Feature}	feature	The setup feature.
+*@param	{Array.<String>}	reasons	An array of strings giving details on what failed.
+*/
+RunnerCLI.setupFailure = function onSetupFailure(feature, reasons) {
+	showHookFailure('Setup', feature, reasons);
+}
+
+/** Presents details of a teardown failure to the user.
+*@param	{Feature}	feature	The teardown feature.
+*@param	{Array.<String>}	reasons	An array of strings giving details on what failed.
+*/
+RunnerCLI.teardownFailure = function onTeardownFailure(feature, reasons) {
+	showHookFailure('Teardown', feature, reasons);
+}
+
+/** Presents the failure of a setup or teardown feature.
+*@private
+*/
+function showHookFailure(type, feature, reasons) {
+	animator.log('⚠', 'error', type + ' failed: ' + feature.description);
+
+	reasons.forEach(function(reason) {
+		animator.log('   ↳', 'cyan', reason, 'cyan');
+	});
+}
+
+/** Describes how many times the last feature evaluated by the given Runner was attempted, if it was retried.
+*@param	{Runner}	runner
+*@return	{String}	For example, " (after 3 attempts)", or an empty string if the feature was evaluated only once.
+*@private
+*/
+function describeAttempts(runner) {
+	var attempts = runner.getResults().getLast().attempts;
+
+	return (attempts > 1 ? ' (after ' + attempts + ' attempts)' : '');
+}
+
+/** Presents paths to the files saved to document a failure or an error.
+*@param	{Object.<String, String>}	[artifacts]	A hash mapping artifact types to paths, as passed by the Runner. May be missing.
+*@private
+*/
+function showArtifacts(artifacts) {
+	Object.each(artifacts || {}, function(path, type) {
+		animator.log('   ⎙', 'debug', type + ': ' + path, 'debug');
+	});
 }
 
 
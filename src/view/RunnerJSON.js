@@ -0,0 +1,119 @@
+/**@namespace A reporter that outputs the results of all Runners as a single JSON document, once all suites have been evaluated.
+* The document is written to the file given by the `jsonFile` configuration key, or on the standard output if it is not set.
+* Since the output has to stay parseable, loading this view mutes the CLI animator.
+*
+*@example
+*	{ "suites": [ {
+*		"name": "DuckDuckGo",
+*		"browser": "firefox",	// or null if a single browser is used
+*		"status": "failure",
+*		"duration": 1234,	// all durations are in milliseconds
+*		"features": [ {
+*			"description": "Looking up an ambiguous term should make a Zero Click Info box appear.",
+*			"status": "failure",	// or "success", "error" or "skipped"
+*			"reason": null,	// for skipped features, why they were not evaluated
+*			"failures": [ "ZeroClickWidget.header was \"…\" instead of \"…\"" ],
+*			"errors": [ { "message": "…", "stack": "…" } ],
+*			"artifacts": { "screenshot": "…", "source": "…", "page": "…" },	// or null
+*			"duration": 1234,	// of all attempts
+*			"attempts": 1	// more than 1 if the feature was retried, 0 if it was skipped
+*		} ]
+*	} ] }
+*/
+var RunnerJSON = {};
+
+var fs = require('fs');
+
+var animator = require('../lib/cli-animator');
+
+
+/** Descriptions of all suites evaluated so far, in order of completion.
+*@type	{Array.<Object>}
+*@private
+*/
+var suites = [];
+
+/** Path to the file in which to write the document, as given by the `jsonFile` configuration key of the last finished Runner.
+*@type	{String}
+*@private
+*/
+var file = null;
+
+
+animator.mute();
+
+
+/** Stores results of the emitting Runner, to output them once all suites have been evaluated.
+* Bound to both the "success" and "failure" events.
+*/
+RunnerJSON.success = RunnerJSON.failure = function onFinish() {
+	var results = this.getResults(),
+		status = 'success',
+		duration = 0;
+
+	var features = results.map(function(result) {
+		duration += result.duration;
+
+		if (result.status == 'failure' || result.status == 'error')
+			status = 'failure';
+
+		return serializeFeature(result);
+	});
+
+	suites.push({
+		name:		this.config.name,
+		browser:	this.config.browser || null,
+		status:		status,
+		duration:	duration,
+		features:	features
+	});
+
+	file = this.config.jsonFile;
+}
+
+/** Outputs the document once all suites have been evaluated, and starts over for the next evaluation.
+* Bound to the "end" event of the Orchestrator, since a Runner can not tell whether other suites will be evaluated after its own.
+*/
+RunnerJSON.end = function onEnd() {
+	output(JSON.stringify({ suites: suites }, null, '\t'), file);
+
+	suites = [];
+	file = null;
+}
+
+/** Creates a JSON-serializable description of the given Feature result.
+*
+*@param	{Object}	result	A feature result, as given by `Runner#getResults`.
+*@return	{Object}
+*@private
+*/
+function serializeFeature(result) {
+	return {
+		description:	result.feature.description,
+		status:			result.status,
+		reason:			result.reason || null,
+		failures:		result.failures.map(String),
+		errors:			result.errors.map(function(error) {
+							return {
+								message:	error.message || String(error),
+								stack:		error.stack
+							}
+						}),
+		artifacts:		result.artifacts || null,
+		duration:		result.duration,
+		attempts:		result.attempts
+	}
+}
+
+/** Writes the given document to the given file, or to the standard output if no file is given.
+*@private
+*/
+function output(document, file) {
+	if (file)
+		fs.writeFileSync(file, document);
+	else
+		process.stdout.write(document + '\n');
+}
+
+
+module.exports = RunnerJSON;	// CommonJS export
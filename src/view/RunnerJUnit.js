@@ -0,0 +1,130 @@
+/**@namespace A reporter that writes a Runner’s results as a JUnit XML file, for continuous integration servers.
+* Each Runner (i.e. each suite, in each browser) is written as a `testsuite`, and each of its features as a `testcase`.
+* The file, whose path is given by the `junitFile` configuration key, is rewritten each time a suite ends, so that it always contains all suites evaluated so far.
+*/
+var RunnerJUnit = {};
+
+var fs = require('fs');
+
+var logger = require('winston').loggers.get('suites');
+
+
+/** Serialized `testsuite` elements of all suites evaluated so far, indexed on Runner labels (i.e. suite names and browsers).
+*@type	{Object.<String, String>}
+*@private
+*/
+var suites = {};
+
+/** Writes the results of the emitting Runner to the JUnit report file.
+* Bound to both the "success" and "failure" events, as the report has to be written in both cases.
+*/
+RunnerJUnit.success = RunnerJUnit.failure = function onFinish() {
+	var name = this.getLabel() || 'Watai';
+
+	suites[name] = serializeSuite(name, this.getResults());
+
+	var xml = '<?xml version="1.0" encoding="UTF-8"?>\n'
+			+ '<testsuites>\n'
+			+ Object.values(suites).join('')
+			+ '</testsuites>\n';
+
+	fs.writeFileSync(this.config.junitFile, xml);
+
+	logger.verbose('JUnit report written to "' + this.config.junitFile + '"');
+}
+
+/** Creates a `testsuite` element out of the given Runner results.
+*
+*@param	{String}	name	Name of the suite.
+*@param	{Array.<Object>}	results	Feature results, as given by `Runner#getResults`.
+*@return	{String}	The serialized element.
+*@private
+*/
+function serializeSuite(name, results) {
+	var counts = { success: 0, failure: 0, error: 0, skipped: 0 },
+		duration = 0;
+
+	var testcases = results.map(function(result) {
+		counts[result.status]++;
+		duration += result.duration;
+
+		return serializeFeature(name, result);
+	}).join('');
+
+	return '\t<testsuite'
+			+ attribute('name', name)
+			+ attribute('tests', results.length)
+			+ attribute('failures', counts.failure)
+			+ attribute('errors', counts.error)
+			+ attribute('skipped', counts.skipped)
+			+ attribute('time', toSeconds(duration))
+			+ attribute('timestamp', new Date().toISOString())
+			+ '>\n'
+			+ testcases
+			+ '\t</testsuite>\n';
+}
+
+/** Creates a `testcase` element out of the given Feature result.
+* Failures and errors are written as separate `failure` and `error` child elements, and skipped features get a `skipped` child element. Features that were retried get a `system-out` child element stating how many attempts they took.
+*
+*@param	{String}	suiteName	Name of the suite the feature belongs to.
+*@param	{Object}	result	A feature result, as given by `Runner#getResults`.
+*@return	{String}	The serialized element.
+*@private
+*/
+function serializeFeature(suiteName, result) {
+	var children = '';
+
+	if (result.status == 'skipped')
+		children += '\t\t\t<skipped' + attribute('message', result.reason) + '/>\n';
+
+	result.failures.forEach(function(failure) {
+		children += '\t\t\t<failure' + attribute('message', failure) + '>' + escapeXML(failure) + '</failure>\n';
+	});
+
+	result.errors.forEach(function(error) {
+		children += '\t\t\t<error'
+					+ attribute('message', error.message || error)
+					+ attribute('type', error.name || 'Error')
+					+ '>' + escapeXML(error.stack || error) + '</error>\n';
+	});
+
+	if (result.attempts > 1)
+		children += '\t\t\t<system-out>' + escapeXML('Evaluated ' + result.attempts + ' times') + '</system-out>\n';
+
+	return '\t\t<testcase'
+			+ attribute('classname', suiteName)
+			+ attribute('name', result.feature.description)
+			+ attribute('time', toSeconds(result.duration))
+			+ (children ? '>\n' + children + '\t\t</testcase>\n' : '/>\n');
+}
+
+/** Serializes an XML attribute, with a leading space.
+*@private
+*/
+function attribute(name, value) {
+	return ' ' + name + '="' + escapeXML(value) + '"';
+}
+
+/** Converts the given milliseconds count to seconds, as JUnit expects them.
+*@private
+*/
+function toSeconds(milliseconds) {
+	return (milliseconds / 1000).toFixed(3);
+}
+
+/** Escapes all characters that have a special meaning in XML.
+*@param	{String}	text	The text to escape. Will be casted to a String.
+*@return	{String}
+*@private
+*/
+function escapeXML(text) {
+	return String(text).replace(/&/g, '&amp;')
+					   .replace(/</g, '&lt;')
+					   .replace(/>/g, '&gt;')
+					   .replace(/"/g, '&quot;')
+					   .replace(/'/g, '&apos;');
+}
+
+
+module.exports = RunnerJUnit;	// CommonJS export
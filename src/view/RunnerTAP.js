@@ -0,0 +1,162 @@
+/**@namespace A reporter that outputs a Runner’s results in the [TAP 13](http://testanything.org/tap-version-13-specification.html) format on the standard output.
+* Features of all suites are numbered in a single stream, and the plan is given once all suites have been evaluated.
+* Since the output has to stay parseable, loading this view mutes the CLI animator.
+*/
+var RunnerTAP = {};
+
+var animator = require('../lib/cli-animator');
+
+
+/** Number of features reported so far, across all suites.
+*@type	{Number}
+*@private
+*/
+var count = 0;
+
+/** Whether the TAP version header has already been output.
+*@type	{Boolean}
+*@private
+*/
+var started = false;
+
+
+animator.mute();
+
+
+/** Outputs the TAP header if needed, and the name of the emitting Runner’s suite as a comment.
+*/
+RunnerTAP.beforeRun = function onBeforeRun() {
+	start();
+
+	if (this.getLabel())
+		write('# ' + this.getLabel());
+}
+
+/** Outputs a test point for the given successful feature.
+*@param	{Feature}	feature	The feature whose results are given.
+*/
+RunnerTAP.featureSuccess = function onFeatureSuccess(feature) {
+	var attempts = this.getResults().getLast().attempts;
+
+	write('ok ' + (++count) + ' - ' + feature.description);
+
+	if (attempts > 1)
+		writeDiagnostics({ attempts: attempts });
+}
+
+/** Outputs the failure of an attempt to evaluate the given feature as a comment, since the feature is evaluated again.
+*@param	{Feature}	feature	The feature that will be retried.
+*@param	{Number}	attempt	The number of the attempt that did not succeed.
+*@param	{Array.<String>}	reasons	An array of strings giving details on what went wrong.
+*/
+RunnerTAP.featureRetry = function onFeatureRetry(feature, attempt, reasons) {
+	write('# Attempt ' + attempt + ' of "' + feature.description + '" failed, retrying (' + reasons.join('; ') + ')');
+}
+
+/** Outputs a test point with a SKIP directive for the given skipped feature.
+*@param	{Feature}	feature	The skipped feature.
+*@param	{String}	reason	Why the feature was skipped.
+*/
+RunnerTAP.featureSkip = function onFeatureSkip(feature, reason) {
+	write('ok ' + (++count) + ' - ' + feature.description + ' # SKIP ' + reason);
+}
+
+/** Outputs a test point for the given failed feature, with failure details as YAML diagnostics.
+*@param	{Feature}	feature	The feature whose results are given.
+*@param	{Array.<String>}	failures	An array of strings giving details on failures.
+*/
+RunnerTAP.featureFailure = function onFeatureFailure(feature, failures) {
+	write('not ok ' + (++count) + ' - ' + feature.description);
+	writeDiagnostics({
+		severity:	'fail',
+		failures:	failures,
+		duration_ms: this.getResults().getLast().duration,
+		attempts:	this.getResults().getLast().attempts
+	});
+}
+
+/** Outputs a test point for the given feature that raised errors, with error details as YAML diagnostics.
+*@param	{Feature}	feature	The feature whose results are given.
+*@param	{Array}	errors	An array of errors that arose when evaluating the feature.
+*/
+RunnerTAP.featureError = function onFeatureError(feature, errors) {
+	write('not ok ' + (++count) + ' - ' + feature.description);
+	writeDiagnostics({
+		severity:	'error',
+		errors:		errors.map(function(error) {
+						return error.stack || String(error);
+					}),
+		duration_ms: this.getResults().getLast().duration,
+		attempts:	this.getResults().getLast().attempts
+	});
+}
+
+/** Outputs the failure of the setup feature as a comment, since it is not a test point. Skipped features follow.
+*@param	{Feature}	feature	The setup feature.
+*@param	{Array.<String>}	reasons	An array of strings giving details on what failed.
+*/
+RunnerTAP.setupFailure = function onSetupFailure(feature, reasons) {
+	write('# Setup failed: ' + feature.description + ' (' + reasons.join('; ') + ')');
+}
+
+/** Outputs the failure of the teardown feature as a comment, since it is not a test point.
+*@param	{Feature}	feature	The teardown feature.
+*@param	{Array.<String>}	reasons	An array of strings giving details on what failed.
+*/
+RunnerTAP.teardownFailure = function onTeardownFailure(feature, reasons) {
+	write('# Teardown failed: ' + feature.description + ' (' + reasons.join('; ') + ')');
+}
+
+/** Outputs the plan once all suites have been evaluated, and starts over for the next evaluation.
+* Bound to the "end" event of the Orchestrator, since a Runner can not tell whether other suites will be evaluated after its own.
+*/
+RunnerTAP.end = function onEnd() {
+	start();
+	write('1..' + count);
+
+	count = 0;
+	started = false;
+}
+
+/** Outputs the TAP version header, if it was not output yet.
+*@private
+*/
+function start() {
+	if (! started) {
+		write('TAP version 13');
+		started = true;
+	}
+}
+
+/** Outputs the given line.
+*@private
+*/
+function write(line) {
+	process.stdout.write(line + '\n');
+}
+
+/** Outputs the given hash as an indented YAML block.
+* Strings are serialized as JSON, which is valid YAML and takes care of escaping.
+*
+*@param	{Object.<String, (String|Number|Array)>}	data
+*@private
+*/
+function writeDiagnostics(data) {
+	write('  ---');
+
+	Object.each(data, function(value, key) {
+		if (Array.isArray(value)) {
+			write('  ' + key + ':');
+			value.forEach(function(item) {
+				write('    - ' + JSON.stringify(String(item)));
+			});
+		} else {
+			write('  ' + key + ': ' + JSON.stringify(value));
+		}
+	});
+
+	write('  ...');
+}
+
+
+module.exports = RunnerTAP;	// CommonJS export
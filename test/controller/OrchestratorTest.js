@@ -0,0 +1,123 @@
+var should = require('should'),
+	promises = require('q'),
+	pathsUtils = require('path'),
+	TestRight = require('../helpers/subject'),
+	config = require('../helpers/driver').config;
+
+
+describe('Orchestrator', function() {
+	describe('with no suites', function() {
+		var subject;
+
+		beforeEach(function() {
+			subject = new TestRight.Orchestrator();
+		});
+
+		it('should return a promise', function() {
+			promises.isPromise(subject.run()).should.be.ok;
+		});
+
+		it('should be resolved with empty reports', function(done) {
+			subject.run().then(function(reports) {
+				reports.should.have.length(0);
+				done();
+			}, done).end();
+		});
+
+		it('should emit an "end" event', function(done) {
+			subject.once('end', function(reports) {
+				should.strictEqual(reports, subject.getReports());
+				done();
+			});
+
+			subject.run();
+		});
+
+		it('should be cancellable, resolving once stopped', function(done) {
+			subject.cancel().then(function() {
+				done();
+			}, done).end();
+		});
+	});
+
+	describe('with several suites at the same time', function() {
+		it('should report suites that restart browsers on timeout as errors', function(done) {
+			new TestRight.Orchestrator({ concurrency: 2 })
+				.addSuite(pathsUtils.join(__dirname, '../resources/suites/Selection'), { resetOnTimeout: true })
+				.run().then(function() {
+					done(new Error('Resolved instead of rejected!'));
+				}, function(reports) {
+					reports[0].status.should.equal('error');
+					reports[0].error.message.should.match(/resetOnTimeout/);
+					done();
+				}).end();
+		});
+	});
+
+	describe('with several suites', function() {
+		var path = pathsUtils.join(__dirname, '../resources/suites/Selection');
+
+		/** Evaluates the same suite twice with the given views, and passes what was written on the standard output.
+		*/
+		function evaluateTwice(views, callback) {
+			var subject = new TestRight.Orchestrator(),
+				write = process.stdout.write,
+				output = '';
+
+			subject.addSuite(path, { views: views }).addSuite(path, { views: views });
+
+			process.stdout.write = function(data) {
+				output += data;
+			}
+
+			subject.run().then(function() {
+				process.stdout.write = write;
+				callback(null, output);
+			}, function(reports) {
+				process.stdout.write = write;
+				callback(reports[0].error || new Error('Suites were not successful'));
+			}).end();
+		}
+
+		it('should output a single TAP header and plan, after all test points', function(done) {
+			this.timeout(2 * config.browserWarmupTimeout);
+
+			evaluateTwice([ 'TAP' ], function(err, output) {
+				if (err) return done(err);
+
+				var lines = output.split('\n');
+
+				lines.filter(function(line) {
+					return line == 'TAP version 13';
+				}).should.have.length(1);
+
+				lines.filter(function(line) {
+					return /^1\.\./.test(line);
+				}).should.eql([ '1..6' ]);
+
+				lines.indexOf('1..6').should.equal(lines.length - 2);	// the output ends with a newline
+				lines.should.include('ok 6 - A user should be able to log out');
+
+				done();
+			});
+		});
+
+		it('should output a single JSON document with all suites', function(done) {
+			this.timeout(2 * config.browserWarmupTimeout);
+
+			evaluateTwice([ 'JSON' ], function(err, output) {
+				if (err) return done(err);
+
+				var document = JSON.parse(output);
+
+				document.suites.should.have.length(2);
+				document.suites.forEach(function(suite) {
+					suite.name.should.equal('Selection');
+					suite.features.should.have.length(3);
+				});
+
+				done();
+			});
+		});
+	});
+});
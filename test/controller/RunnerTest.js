@@ -1,5 +1,7 @@
 var should = require('should'),
 	promises = require('q'),
+	fs = require('fs'),
+	pathsUtils = require('path'),
 	TestRight = require('../helpers/subject'),
 	config = require('../helpers/driver').config;
 
@@ -22,6 +24,15 @@ describe('Runner', function() {
 			}).should.throw();
 		});
 
+		it('should refuse to restart browsers on timeout if several runners may evaluate features at the same time', function() {
+			(function() {
+				new TestRight.Runner(Object.merge({}, config, {
+					resetOnTimeout:	true,
+					concurrency:	2
+				}));
+			}).should.throw(/resetOnTimeout/);
+		});
+
 		it('should refuse to construct a runner with no Selenium Server URL', function() {
 			(function() {
 				new TestRight.Runner({
@@ -76,9 +87,9 @@ describe('Runner', function() {
 		function() { throw "It's a trap!" }
 	], {});
 
-	describe('run', function() {
-		var subjectWithFailure;	// a second subject that will have a failing and an error-emitting feature added
+	var subjectWithFailure;	// a second subject that will have a failing and an error-emitting feature added
 
+	describe('run', function() {
 
 		before(function() {
 			subject.once('success', function() {
@@ -93,8 +104,9 @@ describe('Runner', function() {
 			subjectWithFailure.once('failure', function(failures) {
 				emitted.failures = failures;
 			});
-			subjectWithFailure.once('featureFailure', function(feature, failures) {
+			subjectWithFailure.once('featureFailure', function(feature, failures, artifacts) {
 				emitted.featureFailure = failures;
+				emitted.featureFailureArtifacts = artifacts;
 			});
 			subjectWithFailure.once('featureError', function(feature, errors) {
 				emitted.featureError = errors;
@@ -235,6 +247,332 @@ describe('Runner', function() {
 		});
 	});
 
+	describe('results', function() {
+		it('should describe each feature evaluated in the last run, in order', function() {
+			var results = subjectWithFailure.getResults();
+
+			results.should.have.length(3);
+			results[0].status.should.equal('success');
+			results[1].status.should.equal('failure');
+			results[2].status.should.equal('error');
+		});
+
+		it('should pass the evaluated features and their durations', function() {
+			var result = subjectWithFailure.getResults()[1];
+
+			should.strictEqual(result.feature, failingFeature);
+			result.duration.should.be.a('number');
+		});
+
+		it('should not label results with a browser if none is configured', function() {
+			should.strictEqual(subjectWithFailure.getResults()[0].browser, null);
+		});
+
+		it('should not capture failure artifacts if no directory is configured', function() {
+			should.not.exist(subjectWithFailure.getResults()[1].artifacts);
+			should.not.exist(emitted.featureFailureArtifacts);
+		});
+	});
+
+	describe('failure artifacts', function() {
+		var artifactsDir = pathsUtils.join(__dirname, 'RunnerTest-artifacts'),
+			runner,
+			emittedArtifacts,
+			passingFeature = new TestRight.Feature('RunnerTest passing feature with artifacts', [], {}),
+			failingFeature = new TestRight.Feature('RunnerTest failing feature with artifacts', [
+				function() { throw new Error('Failure to document') }
+			], {}),
+			hangingFeature = new TestRight.Feature('RunnerTest timed out feature with artifacts', [
+				function() { return promises.defer().promise }	// never settled
+			], {}, { featureTimeout: 0.1, retries: 1 });
+
+		before(function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			runner = new TestRight.Runner(Object.merge({}, config, { artifactsDir: artifactsDir }));
+
+			runner.once('featureError', function(feature, errors, artifacts) {
+				emittedArtifacts = artifacts;
+			});
+
+			var next = function() { done() };
+
+			runner.addFeature(passingFeature).addFeature(failingFeature).addFeature(hangingFeature).run().then(next, next).end();
+		});
+
+		after(function() {
+			runner.killDriver();
+			removeDirectory(artifactsDir);
+		});
+
+		it('should save a screenshot, the page source and the page URL and title of failed features', function() {
+			var directory = pathsUtils.join(artifactsDir, 'suite', 'RunnerTest_failing_feature_with_artifacts'),
+				artifacts = runner.getResults()[1].artifacts;
+
+			artifacts.should.eql({
+				screenshot:	pathsUtils.join(directory, 'screenshot.png'),
+				source:		pathsUtils.join(directory, 'source.html'),
+				page:		pathsUtils.join(directory, 'page.json')
+			});
+
+			fs.existsSync(artifacts.screenshot).should.be.ok;
+			fs.readFileSync(artifacts.source, 'utf8').should.match(/<html/i);
+			JSON.parse(fs.readFileSync(artifacts.page, 'utf8')).should.eql({
+				url:	config.baseURL,
+				title:	'TestRight test support page'
+			});
+		});
+
+		it('should pass artifacts along with the failure event', function() {
+			should.strictEqual(emittedArtifacts, runner.getResults()[1].artifacts);
+		});
+
+		it('should neither retry nor document features that timed out, since their browser may be stuck', function() {
+			var result = runner.getResults()[2];
+
+			result.status.should.equal('error');
+			result.attempts.should.equal(1);
+			should.not.exist(result.artifacts);
+		});
+
+		it('should not save anything for successful features', function() {
+			should.not.exist(runner.getResults()[0].artifacts);
+			fs.readdirSync(pathsUtils.join(artifactsDir, 'suite')).should.eql([ 'RunnerTest_failing_feature_with_artifacts' ]);
+		});
+	});
+
+	describe('skipped features', function() {
+		var skippedFeature = new TestRight.Feature('RunnerTest skipped feature', [
+			function() { throw 'Skipped features should not be evaluated' }
+		], {});
+
+		it('should be reported with a "featureSkip" event instead of being evaluated', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var reason;
+
+			subject.once('featureSkip', function(feature, why) {
+				should.strictEqual(feature, skippedFeature);
+				reason = why;
+			});
+
+			subject.addFeature(skippedFeature, 'testing skips').run().then(function() {
+				var result = subject.getResults().getLast();
+
+				should.strictEqual(reason, 'testing skips');
+				result.status.should.equal('skipped');
+				result.reason.should.equal('testing skips');
+				done();
+			}, function(report) {
+				done(new Error('Rejected instead of resolved (' + report + ')'));
+			}).end();
+		});
+	});
+
+	describe('requirements', function() {
+		var runner;
+
+		before(function() {
+			runner = new TestRight.Runner(config);
+		});
+
+		after(function() {
+			runner.killDriver();
+		});
+
+		it('should order features after the ones they require', function() {
+			var dependent = new TestRight.Feature('RunnerTest dependent feature', [], {}),
+				prerequisite = new TestRight.Feature('RunnerTest prerequisite feature', [], {});
+
+			dependent.requires = [ prerequisite ];
+
+			runner.addFeature(dependent).addFeature(prerequisite).orderFeatures();
+
+			runner.features.indexOf(prerequisite).should.be.below(runner.features.indexOf(dependent));
+		});
+
+		it('should detect circular requirements', function() {
+			var first = new TestRight.Feature('RunnerTest first circular feature', [], {}),
+				second = new TestRight.Feature('RunnerTest second circular feature', [], {});
+
+			first.requires = [ second ];
+			second.requires = [ first ];
+
+			runner.addFeature(first).addFeature(second);
+
+			(function() {
+				runner.orderFeatures();
+			}).should.throw(/circular/);
+
+			first.requires = [];	// don't break the next test
+		});
+
+		it('should skip features whose prerequisites failed', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var prerequisite = new TestRight.Feature('RunnerTest failing prerequisite', [
+					function() { throw new Error('Prerequisite failure') }
+				], {}),
+				dependent = new TestRight.Feature('RunnerTest feature with failing prerequisite', [
+					function() { throw 'Features with failed prerequisites should not be evaluated' }
+				], {});
+
+			dependent.requires = [ prerequisite ];
+
+			var check = function() {
+				var result = runner.getResults().filter(function(result) {
+					return result.feature === dependent;
+				})[0];
+
+				result.status.should.equal('skipped');
+				result.reason.should.match(/RunnerTest failing prerequisite/);
+				done();
+			}
+
+			runner.addFeature(dependent).addFeature(prerequisite).run().then(check, check).end();
+		});
+	});
+
+	describe('retries', function() {
+		var runner;
+
+		before(function() {
+			runner = new TestRight.Runner(config);
+		});
+
+		after(function() {
+			runner.killDriver();
+		});
+
+		it('should evaluate failed features again, reporting their attempts', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var evaluations = 0,
+				retried = [];
+
+			var flakyFeature = new TestRight.Feature('RunnerTest flaky feature', [
+				function() {
+					if (++evaluations < 2)
+						throw new Error('First evaluation failure');
+				}
+			], {}, { retries: 2 });
+
+			runner.on('featureRetry', function(feature, attempt) {
+				retried.push(attempt);
+			});
+
+			runner.addFeature(flakyFeature).run().then(function() {
+				var result = runner.getResults().getLast();
+
+				result.status.should.equal('success');
+				result.attempts.should.equal(2);
+				retried.should.eql([ 1 ]);
+				done();
+			}, function(report) {
+				done(new Error('Rejected instead of resolved (' + report + ')'));
+			}).end();
+		});
+
+		it('should report features that fail in all attempts', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var failingFeature = new TestRight.Feature('RunnerTest always failing feature', [
+				function() { throw new Error('Failure in every attempt') }
+			], {}, { retries: 1 });
+
+			runner.addFeature(failingFeature).run().then(function() {
+				done(new Error('Resolved instead of rejected'));
+			}, function() {
+				var result = runner.getResults().getLast();
+
+				result.status.should.equal('error');
+				result.attempts.should.equal(2);
+				done();
+			}).end();
+		});
+	});
+
+	describe('setup and teardown', function() {
+		afterEach(function() {
+			subject.setSetup(null).setTeardown(null);
+		});
+
+		it('should be evaluated around all features', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var order = [],
+				recordStart = function() { order.push('feature') },
+				check = function() {
+					subject.removeListener('featureStart', recordStart);
+					order[0].should.equal('setup');
+					order.should.include('feature');
+					order.getLast().should.equal('teardown');
+					done();
+				}
+
+			subject.on('featureStart', recordStart);
+
+			subject.setSetup(new TestRight.Feature('RunnerTest setup', [
+				function() { order.push('setup') }
+			], {})).setTeardown(new TestRight.Feature('RunnerTest teardown', [
+				function() { order.push('teardown') }
+			], {}));
+
+			subject.addFeature(new TestRight.Feature('RunnerTest feature with setup', [], {}))
+				   .run().then(check, check).end();
+		});
+
+		it('should skip all features if the setup fails', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var setupReasons;
+
+			subject.once('setupFailure', function(feature, reasons) {
+				setupReasons = reasons;
+			});
+
+			subject.setSetup(new TestRight.Feature('RunnerTest failing setup', [
+				function() { throw new Error('Setup failure') }
+			], {}));
+
+			subject.run().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function() {
+				setupReasons.should.eql([ 'Setup failure' ]);
+				subject.getResults().forEach(function(result) {
+					result.status.should.equal('skipped');
+				});
+				done();
+			}).end();
+		});
+
+		it('should not be evaluated if all features are skipped', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var evaluated = [],
+				runner = new TestRight.Runner(config);
+
+			var check = function() {
+				runner.killDriver();
+
+				evaluated.should.eql([]);
+				runner.getResults().map(function(result) {
+					return result.status;
+				}).should.eql([ 'skipped' ]);
+				done();
+			}
+
+			runner.setSetup(new TestRight.Feature('RunnerTest unneeded setup', [
+				function() { evaluated.push('setup') }
+			], {})).setTeardown(new TestRight.Feature('RunnerTest unneeded teardown', [
+				function() { evaluated.push('teardown') }
+			], {}));
+
+			runner.addFeature(new TestRight.Feature('RunnerTest skipped feature', [], {}), 'tagged with slow')
+				  .run().then(check, check).end();
+		});
+	});
+
 	describe('cancellation', function() {
 		it('should reject the evaluation with an error', function(done) {
 			this.timeout(config.browserWarmupTime);
@@ -244,6 +582,52 @@ describe('Runner', function() {
 							   function() { done() });
 			subject.cancel();
 		})
+
+		it('should return a promise resolved once stopped, after which no feature is evaluated', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var evaluations = featureEvaluationCount;
+
+			subject.run().then(null, function() {});	// rejection is checked above
+
+			subject.cancel().then(function() {
+				featureEvaluationCount.should.equal(evaluations);
+				done();
+			}, done).end();
+		});
+
+		it('should not report features that end after cancellation', function(done) {
+			this.timeout(config.browserWarmupTime);
+
+			var runner = new TestRight.Runner(Object.merge({}, config, { resetOnTimeout: true })),
+				reported = [];
+
+			var record = function(feature) {
+				reported.push(feature);
+			}
+
+			runner.on('featureFailure', record);
+			runner.on('featureError', record);
+
+			runner.once('featureStart', function() {
+				runner.once('restart', function() {	// the timed out feature is reported once the restarted browser is ready
+					runner.cancel();
+
+					runner.once('ready', function() {
+						runner.killDriver();
+
+						reported.should.have.length(0);
+						runner.getResults().should.have.length(0);
+						done();
+					});
+				});
+			});
+
+			runner.addFeature(new TestRight.Feature('RunnerTest feature ending after cancellation', [
+				function() { return promises.defer().promise }	// never settled
+			], {}, { featureTimeout: 0.1 }))
+				  .run().then(null, function() {});	// rejection is checked above
+		});
 	});
 
 	describe('driver kill', function() {
@@ -295,3 +679,20 @@ describe('Runner', function() {
 		});
 	});
 });
+
+
+/** Removes the given directory and all its contents.
+*@param	{String}	path
+*/
+function removeDirectory(path) {
+	fs.readdirSync(path).forEach(function(file) {
+		var filePath = pathsUtils.join(path, file);
+
+		if (fs.statSync(filePath).isDirectory())
+			removeDirectory(filePath);
+		else
+			fs.unlinkSync(filePath);
+	});
+
+	fs.rmdirSync(path);
+}
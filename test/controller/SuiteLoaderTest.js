@@ -0,0 +1,389 @@
+var should = require('should'),
+	pathsUtils = require('path'),
+	TestRight = require('../helpers/subject'),
+	config = require('../helpers/driver').config;
+
+
+/** Path to the folder holding all test suites used by these tests.
+*/
+var SUITES_DIR = pathsUtils.join(__dirname, '../resources/suites');
+
+
+/** Loads and evaluates the suite at the given path, and passes the descriptions of the features that were evaluated, in order, with their statuses.
+*
+*@param	{String}	path	Path to the suite folder.
+*@param	{Object}	options	Options for the SuiteLoader.
+*@param	{Function}	callback	Called with an optional error, and an array of "description: status" strings.
+*/
+function evaluate(path, options, callback) {
+	var loader = new TestRight.SuiteLoader(path, options),
+		done = function() {
+			loader.runner.killDriver();
+
+			callback(null, loader.runner.getResults().map(function(result) {
+				return result.feature.description + ': ' + result.status;
+			}));
+		};
+
+	loader.run().then(done, done).end();
+}
+
+
+describe('SuiteLoader', function() {
+	describe('with features requiring each other circularly', function() {
+		var path = pathsUtils.join(SUITES_DIR, 'CircularRequirements');
+
+		it('should throw upon construction', function() {
+			(function() {
+				new TestRight.SuiteLoader(path);
+			}).should.throw(/circularly/);
+		});
+
+		it('should be reported as a suite error by an Orchestrator', function(done) {
+			new TestRight.Orchestrator().addSuite(path).run().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reports) {
+				reports[0].status.should.equal('error');
+				reports[0].error.message.should.match(/circularly/);
+				done();
+			}).end();
+		});
+	});
+
+	describe('with a Gherkin feature using an undefined step', function() {
+		var path = pathsUtils.join(SUITES_DIR, 'UndefinedStep');
+
+		it('should throw upon construction, giving the undefined step', function() {
+			(function() {
+				new TestRight.SuiteLoader(path);
+			}).should.throw(/Undefined step "Then I say goodbye" \(line 5\)/);
+		});
+
+		it('should be reported as a suite error by an Orchestrator', function(done) {
+			new TestRight.Orchestrator().addSuite(path).run().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reports) {
+				reports[0].status.should.equal('error');
+				reports[0].error.message.should.match(/Undefined step/);
+				done();
+			}).end();
+		});
+	});
+
+	describe('with browser profiles', function() {
+		var path = pathsUtils.join(SUITES_DIR, 'Browsers'),
+			subject;
+
+		afterEach(function() {
+			(subject.loaders || []).forEach(function(loader) {
+				loader.runner.killDriver();
+			});
+		});
+
+		it('should evaluate the suite in the default browser if none is selected', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			subject = new TestRight.SuiteLoader(path);
+
+			subject.run().then(function() {
+				subject.runner.killDriver();
+
+				var results = subject.getResults();
+				results.should.have.length(1);
+				should.strictEqual(results[0].browser, null);
+				done();
+			}, done).end();
+		});
+
+		it('should not open any browser before being run', function() {
+			subject = new TestRight.SuiteLoader(path, { browsers: [ 'secure', 'plain' ] });
+
+			subject.loaders.should.have.length(0);
+		});
+
+		it('should evaluate the suite in each browser selected with "browsers", labelling results', function(done) {
+			this.timeout(2 * config.browserWarmupTimeout);
+
+			subject = new TestRight.SuiteLoader(path, { browsers: [ 'secure', 'plain' ] });
+
+			subject.run().then(function() {
+				subject.getResults().map(function(result) {
+					return result.browser;
+				}).should.eql([ 'secure', 'plain' ]);
+
+				subject.loaders.map(function(loader) {
+					return loader.runner.getLabel();
+				}).should.eql([ 'Browsers (secure)', 'Browsers (plain)' ]);
+
+				done();
+			}, done).end();
+		});
+
+		it('should give each browser exactly the capabilities of its profile', function(done) {
+			this.timeout(2 * config.browserWarmupTimeout);
+
+			subject = new TestRight.SuiteLoader(path, { browsers: [ 'plain', 'secure' ] });
+
+			subject.run().then(function() {
+				subject.loaders.map(function(loader) {
+					return loader.runner.config.driverCapabilities;
+				}).should.eql([
+					{ browserName: 'chrome' },
+					{ browserName: 'chrome', acceptSslCerts: true }
+				]);
+
+				done();
+			}, done).end();
+		});
+
+		it('should refuse unknown browser profiles', function() {
+			subject = {};
+
+			(function() {
+				new TestRight.SuiteLoader(path, { browsers: [ 'lynx' ] });
+			}).should.throw(/Unknown browser profile "lynx"/);
+		});
+	});
+
+	describe('feature selection', function() {
+		var path = pathsUtils.join(SUITES_DIR, 'Selection');
+
+		it('should evaluate all features if none is selected', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, {}, function(err, evaluated) {
+				evaluated.should.eql([
+					'A user should be able to log in: success',
+					'A logged in user should be able to search: success',
+					'A user should be able to log out: success'
+				]);
+				done(err);
+			});
+		});
+
+		it('should evaluate only features whose description matches "grep", case-insensitively', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, { grep: 'LOG (IN|OUT)' }, function(err, evaluated) {
+				evaluated.should.eql([
+					'A user should be able to log in: success',
+					'A user should be able to log out: success'
+				]);
+				done(err);
+			});
+		});
+
+		it('should evaluate only features whose file name matches "grep"', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, { grep: 'LogoutFeature' }, function(err, evaluated) {
+				evaluated.should.eql([ 'A user should be able to log out: success' ]);
+				done(err);
+			});
+		});
+
+		it('should evaluate no feature if none matches "grep"', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, { grep: 'register' }, function(err, evaluated) {
+				evaluated.should.eql([]);
+				done(err);
+			});
+		});
+
+		it('should evaluate only the features of the files listed in "featureFiles"', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, { featureFiles: [ '3 - LogoutFeature.js', '1 - LoginFeature.js' ] }, function(err, evaluated) {
+				evaluated.should.eql([
+					'A user should be able to log in: success',
+					'A user should be able to log out: success'
+				]);
+				done(err);
+			});
+		});
+
+		it('should evaluate a selected feature whose prerequisite is filtered out', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, { grep: 'search' }, function(err, evaluated) {
+				evaluated.should.eql([ 'A logged in user should be able to search: success' ]);
+				done(err);
+			});
+		});
+
+		it('should evaluate a selected feature after its selected prerequisite', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			evaluate(path, { featureFiles: [ '2 - SearchFeature.js', '1 - LoginFeature.js' ], grep: 'user' }, function(err, evaluated) {
+				evaluated.should.eql([
+					'A user should be able to log in: success',
+					'A logged in user should be able to search: success'
+				]);
+				done(err);
+			});
+		});
+	});
+
+	describe('environments', function() {
+		var path = pathsUtils.join(SUITES_DIR, 'Environments'),
+			stagingURL = 'file://' + path + '/../../page.html?env=staging',
+			subject;
+
+		afterEach(function() {
+			delete process.env[TestRight.SuiteLoader.envVariable];
+
+			if (subject)
+				subject.runner.killDriver();
+
+			subject = null;
+		});
+
+		it('should use the base configuration if no environment is selected', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			subject = new TestRight.SuiteLoader(path);
+
+			subject.config.baseURL.should.equal(config.baseURL);
+
+			subject.run().then(function() {
+				subject.context.greeting.should.equal('Hello');
+				done();
+			}, done).end();
+		});
+
+		it('should override the base configuration with the environment given in the "env" option', function() {
+			subject = new TestRight.SuiteLoader(path, { env: 'staging' });
+
+			subject.config.env.should.equal('staging');
+			subject.config.baseURL.should.equal(stagingURL);
+		});
+
+		it('should override values of data files with the "data" of the environment', function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			subject = new TestRight.SuiteLoader(path, { env: 'staging' });
+
+			subject.run().then(function() {
+				subject.context.greeting.should.equal('Hi');
+				subject.context.farewell.should.equal('Bye');
+				done();
+			}, done).end();
+		});
+
+		it('should use the environment given in the ' + TestRight.SuiteLoader.envVariable + ' variable', function() {
+			process.env[TestRight.SuiteLoader.envVariable] = 'staging';
+
+			subject = new TestRight.SuiteLoader(path);
+
+			subject.config.env.should.equal('staging');
+			subject.config.baseURL.should.equal(stagingURL);
+		});
+
+		it('should prefer the "env" option to the ' + TestRight.SuiteLoader.envVariable + ' variable', function() {
+			process.env[TestRight.SuiteLoader.envVariable] = 'staging';
+
+			subject = new TestRight.SuiteLoader(path, { env: 'production' });
+
+			subject.config.env.should.equal('production');
+			subject.config.baseURL.should.equal(config.baseURL);
+		});
+
+		it('should refuse unknown environments, listing known ones', function() {
+			(function() {
+				new TestRight.SuiteLoader(path, { env: 'nope' });
+			}).should.throw('Unknown environment "nope". Known environments are: staging, production.');
+		});
+
+		it('should refuse unknown environments given in the ' + TestRight.SuiteLoader.envVariable + ' variable', function() {
+			process.env[TestRight.SuiteLoader.envVariable] = 'nope';
+
+			(function() {
+				new TestRight.SuiteLoader(path);
+			}).should.throw(/Unknown environment "nope"/);
+		});
+
+		it('should ignore the ' + TestRight.SuiteLoader.envVariable + ' variable in suites that define no environments', function() {
+			process.env[TestRight.SuiteLoader.envVariable] = 'staging';
+
+			subject = new TestRight.SuiteLoader(pathsUtils.join(SUITES_DIR, 'Selection'));
+
+			should.not.exist(subject.config.env);
+			subject.config.baseURL.should.equal(config.baseURL);
+		});
+
+		it('should refuse unknown environments given in the "env" option in suites that define no environments', function() {
+			(function() {
+				new TestRight.SuiteLoader(pathsUtils.join(SUITES_DIR, 'Selection'), { env: 'staging' });
+			}).should.throw('Unknown environment "staging". Known environments are: none.');
+		});
+	});
+
+	describe('examples', function() {
+		var path = pathsUtils.join(SUITES_DIR, 'Examples'),
+			subject;
+
+		before(function(done) {
+			this.timeout(config.browserWarmupTimeout);
+
+			subject = new TestRight.SuiteLoader(path);
+
+			subject.run().then(function() {
+				subject.runner.killDriver();
+				done();
+			}, done).end();
+		});
+
+		it('should create one feature per row', function() {
+			subject.getResults().should.have.length(5);
+		});
+
+		it('should label each feature with the values of its row', function() {
+			subject.getResults().map(function(result) {
+				return result.feature.description;
+			}).should.eql([
+				'Dialing France should need +33',
+				'Dialing Japan should need +81',
+				'Looking up Brazil should give +55',
+				'Looking up Kenya should give +254',
+				'Looking up Peru should give +51'
+			]);
+		});
+
+		it('should substitute the values of each row in the scenario', function() {
+			Array.prototype.slice.call(subject.context.storage.recorded).should.eql([ '+33', '+81', 'Brazil', 'Kenya', 'Peru' ]);
+		});
+
+		it('should reset the "example" global once loaded', function() {
+			Object.keys(subject.context.example).should.have.length(0);
+		});
+
+		it('should refuse examples files that are not valid JSON', function() {
+			(function() {
+				subject.loadExamples('malformed.json');
+			}).should.throw(SyntaxError);
+		});
+
+		it('should refuse examples that are not an array of rows', function() {
+			(function() {
+				subject.loadExamples(33);
+			}).should.throw(/should be an array of rows/);
+		});
+	});
+
+	describe('assertion timeout', function() {
+		var subject;
+
+		after(function() {
+			subject.runner.killDriver();
+		});
+
+		it('should be given to features by the "assertionTimeout" configuration key, not by the "timeout" one', function() {
+			subject = new TestRight.SuiteLoader(pathsUtils.join(SUITES_DIR, 'Selection'), { timeout: 2, assertionTimeout: 3 });
+
+			subject.runner.features.map(function(feature) {
+				return feature.timeout;
+			}).should.eql([ 3, 3, 3 ]);
+		});
+	});
+});
@@ -0,0 +1,21 @@
+/** Calls the given function, and returns everything it wrote on the standard output instead of writing it.
+*
+*@param	{Function}	fn	A function writing synchronously on the standard output.
+*@return	{String}
+*/
+exports.capture = function capture(fn) {
+	var write = process.stdout.write,
+		output = '';
+
+	process.stdout.write = function(data) {
+		output += data;
+	}
+
+	try {
+		fn();
+	} finally {
+		process.stdout.write = write;
+	}
+
+	return output;
+}
@@ -8,7 +8,10 @@ var elements = exports.elements = {
 	css:	{ css: '.tutu' },
 	missing:{ id: 'inexistant' },
 	field:	{ css: 'input[name="field"]' },
-	p3Link:	{ linkText: 'This paragraph is embedded in a link' }
+	p3Link:	{ linkText: 'This paragraph is embedded in a link' },
+	delayLink:	{ id: 'delayLink' },
+	delayed:	{ id: 'delayed' },
+	hidden:		{ id: 'hidden' }
 }
 
 /** Expected values for the texts of the elements described above, as defined in the test support page.
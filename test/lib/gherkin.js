@@ -0,0 +1,116 @@
+var should = require('should');
+
+var Gherkin = require('../../src/lib/gherkin');
+
+
+describe('Gherkin parser', function() {
+	var source = [
+		'# a comment',
+		'@nightly',
+		'Feature: Search',
+		'	Some free-text description.',
+		'',
+		'	Background:',
+		'		Given I am on the home page',
+		'',
+		'	@smoke',
+		'	Scenario: Simple search',
+		'		When I search for "Toto"',
+		'		Then I should see results',
+		'			| first	| second	|',
+		'			| a		| b			|',
+		'',
+		'	Scenario Outline: Search for <term>',
+		'		When I search for "<term>"',
+		'',
+		'		Examples:',
+		'			| term	|',
+		'			| Toto	|',
+		'			| Titi	|'
+	].join('\n');
+
+	var parsed;
+
+	before(function() {
+		parsed = Gherkin.parse(source);
+	});
+
+	it('should parse the feature name', function() {
+		parsed.name.should.equal('Search');
+	});
+
+	it('should expand scenario outlines', function() {
+		parsed.scenarios.should.have.length(3);
+		parsed.scenarios[1].name.should.equal('Search for Toto');
+		parsed.scenarios[2].steps[1].text.should.equal('I search for "Titi"');
+	});
+
+	it('should prepend background steps', function() {
+		parsed.scenarios.forEach(function(scenario) {
+			scenario.steps[0].text.should.equal('I am on the home page');
+		});
+	});
+
+	it('should parse steps with their keyword and line', function() {
+		var step = parsed.scenarios[0].steps[1];
+
+		step.keyword.should.equal('When');
+		step.text.should.equal('I search for "Toto"');
+		step.line.should.equal(11);
+	});
+
+	it('should attach data tables to steps', function() {
+		parsed.scenarios[0].steps[2].table.should.eql([ [ 'first', 'second' ], [ 'a', 'b' ] ]);
+	});
+
+	it('should inherit feature tags', function() {
+		parsed.scenarios[0].tags.should.eql([ 'nightly', 'smoke' ]);
+		parsed.scenarios[1].tags.should.eql([ 'nightly' ]);
+	});
+
+	it('should apply tags of examples tables to the scenarios they generate', function() {
+		var outline = Gherkin.parse([
+			'@nightly',
+			'Feature: Search',
+			'	Scenario Outline: Search for <term>',
+			'		When I search for "<term>"',
+			'',
+			'		Examples:',
+			'			| term	|',
+			'			| Toto	|',
+			'',
+			'		@slow @i18n',
+			'		Examples:',
+			'			| term	|',
+			'			| Tata	|'
+		].join('\n'));
+
+		outline.scenarios.map(function(scenario) {
+			return scenario.tags;
+		}).should.eql([ [ 'nightly' ], [ 'nightly', 'slow', 'i18n' ] ]);
+	});
+
+	it('should reject steps outside of scenarios, with their line number', function() {
+		(function() {
+			Gherkin.parse('Feature: Broken\n	Given some step');
+		}).should.throw(/line 2/);
+	});
+
+	it('should reject scenario outlines without examples, with their line number', function() {
+		(function() {
+			Gherkin.parse('Feature: Broken\n	Scenario Outline: Search for <term>\n		When I search for "<term>"');
+		}).should.throw('Scenario outline "Search for <term>" has no examples (line 2)');
+	});
+
+	it('should reject scenario outlines whose examples have no rows', function() {
+		(function() {
+			Gherkin.parse('Feature: Broken\n	Scenario Outline: Search for <term>\n		When I search for "<term>"\n		Examples:\n			| term	|');
+		}).should.throw(/has no examples \(line 2\)/);
+	});
+
+	it('should reject examples outside of scenario outlines', function() {
+		(function() {
+			Gherkin.parse('Feature: Broken\n	Scenario: Simple\n		Examples:');
+		}).should.throw();
+	});
+});
@@ -20,6 +20,26 @@ describe('MooTools additions', function() {
 	
 	var path = 'outer.medium.inner';
 	
+	describe('parsePropertyPath', function() {
+		it('should split a path with no qualifier', function() {
+			var result = Object.parsePropertyPath(path);
+			result.parts.should.eql([ 'outer', 'medium', 'inner' ]);
+			should.not.exist(result.qualifier);
+		});
+
+		it('should separate an attribute qualifier', function() {
+			var result = Object.parsePropertyPath(path + '@placeholder');
+			result.parts.should.eql([ 'outer', 'medium', 'inner' ]);
+			result.qualifier.should.equal('@placeholder');
+		});
+
+		it('should separate a qualifier with an argument', function() {
+			var result = Object.parsePropertyPath(path + ':css(font.size)');
+			result.parts.should.eql([ 'outer', 'medium', 'inner' ]);
+			result.qualifier.should.equal(':css(font.size)');
+		});
+	});
+
 	describe('hasPropertyPath', function() {
 		it('should find a path without actually accessing the last property', function() {
 			var subject = newSubject();
@@ -33,6 +53,14 @@ describe('MooTools additions', function() {
 			Object.hasPropertyPath(subject, '.toto').should.not.be.ok;
 			Object.hasPropertyPath(subject, path + '.toto').should.not.be.ok;
 		});
+
+		it('should ignore qualifiers', function() {
+			var subject = newSubject();
+			Object.hasPropertyPath(subject, path + '@placeholder').should.be.ok;
+			Object.hasPropertyPath(subject, path + ':displayed').should.be.ok;
+			Object.hasPropertyPath(subject, 'toto:displayed').should.not.be.ok;
+			subject.touched.should.not.be.ok;
+		});
 	});
 	
 	describe('getFromPath', function() {
@@ -47,5 +75,11 @@ describe('MooTools additions', function() {
 			should.not.exist(Object.getFromPath(subject, path + 'toto'));
 			should.not.exist(Object.getFromPath(subject, path + '.toto'));
 		});
+
+		it('should ignore qualifiers', function() {
+			var subject = newSubject();
+			Object.getFromPath(subject, path + ':css(color)').should.be.ok;
+			subject.touched.should.be.ok;
+		});
 	});
 });
@@ -189,6 +189,128 @@ describe('Feature', function() {
 			}).end();
 		});
 		
+		it('with a matching RegExp should pass', function(done) {
+			featureWithScenario([
+				{ 'TestWidget.id': /paragraph has id/ }
+			]).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('with a non-matching RegExp should be rejected and describe the RegExp', function(done) {
+			featureWithScenario([
+				{ 'TestWidget.id': /^toto$/ }
+			]).test().then(function() {
+				done(new Error('Unmatched RegExp should not be resolved.'));
+			}, function(reasons) {
+				reasons.failures[0].should.include('/^toto$/');
+				done();
+			}).end();
+		});
+
+		it('with a predicate should pass it the actual text', function(done) {
+			var passed;
+
+			featureWithScenario([
+				{ 'TestWidget.id': function(actual) {
+					passed = actual;
+					return true;
+				} }
+			]).test().then(function() {
+				passed.should.equal(require('../helpers/testWidget').expectedTexts.id);
+				done();
+			}, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('with a predicate returning false should be rejected and describe the predicate', function(done) {
+			featureWithScenario([
+				{ 'TestWidget.id': function isEmpty(actual) {
+					return actual.length == 0;
+				} }
+			]).test().then(function() {
+				done(new Error('Unsatisfied predicate should not be resolved.'));
+			}, function(reasons) {
+				reasons.failures[0].should.include('isEmpty');
+				done();
+			}).end();
+		});
+
+		it('with a predicate returning a promise should wait for it', function(done) {
+			featureWithScenario([
+				{ 'TestWidget.id': function() {
+					var deferred = promises.defer();
+					setTimeout(deferred.resolve.bind(deferred, false), 10);
+					return deferred.promise;
+				} }
+			]).test().then(function() {
+				done(new Error('Predicate resolved to false should not be resolved.'));
+			}, function(reasons) {
+				reasons.failures.should.have.length(1);
+				done();
+			}).end();
+		});
+
+		it('that are evaluated twice should pass twice', function(done) {
+			var feature = featureWithScenario([ expectedTexts ]);
+
+			feature.test().then(function() {
+				return feature.test();
+			}).then(function() {
+				done();
+			}, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('with an attribute qualifier should compare the attribute value', function(done) {
+			featureWithScenario([
+				{ 'TestWidget.field@name': 'field' }
+			]).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('with a boolean qualifier should compare the element state', function(done) {
+			featureWithScenario([
+				{
+					'TestWidget.id:displayed': true,
+					'TestWidget.field:enabled': true
+				}
+			]).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('with a failing qualified assertion should be rejected and reasons passed', function(done) {
+			featureWithScenario([
+				{ 'TestWidget.field@name': 'toto' }
+			]).test().then(function() {
+				done(new Error('Unmatched attribute should not be resolved.'));
+			}, function(reasons) {
+				reasons.failures[0].should.include('TestWidget.field@name');
+				reasons.failures[0].should.include('toto');
+				done();
+			}).end();
+		});
+
+		it('with an unknown qualifier should throw an error upon creation', function() {
+			(function() {
+				featureWithScenario([
+					{ 'TestWidget.id:toto': true }
+				]);
+			}).should.throw(/toto/);
+		});
+
+		it('with a qualifier missing its argument should throw an error upon creation', function() {
+			(function() {
+				featureWithScenario([
+					{ 'TestWidget.id:css': 'red' }
+				]);
+			}).should.throw(/argument/);
+		});
+
 		it('that are incorrectly written should throw an error upon creation', function() {
 			(function() {
 				featureWithScenario([
@@ -208,6 +330,353 @@ describe('Feature', function() {
 		});
 	});
 	
+	describe('asynchronous widget states descriptions', function() {
+		var delayedScenario = function delayedScenario(stateDescription) {
+			return [
+				WidgetTest.delay,
+				stateDescription
+			];
+		}
+
+		it('should not wait by default', function(done) {
+			featureWithScenario(delayedScenario({ 'TestWidget.delayed': 'Loaded' })).test().then(function() {
+				done(new Error('Resolved before the element was updated!'));
+			}, function(reasons) {
+				reasons.failures.should.have.length(1);
+				reasons.failures[0].should.include('Loading');
+				done();
+			}).end();
+		});
+
+		it('should wait for the feature timeout', function(done) {
+			new TestRight.Feature('Test feature', delayedScenario({ 'TestWidget.delayed': 'Loaded' }), { TestWidget: WidgetTest }, { timeout: 1 }).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should wait for a state description timeout', function(done) {
+			featureWithScenario(delayedScenario({ 'TestWidget.delayed': 'Loaded', timeout: 1 })).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should report the last observed value and the time waited', function(done) {
+			featureWithScenario(delayedScenario({ 'TestWidget.delayed': 'toto', timeout: 1 })).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reasons) {
+				reasons.failures[0].should.include('Loaded');
+				reasons.failures[0].should.include('waiting');
+				done();
+			}).end();
+		});
+	});
+
+	describe('presence descriptions', function() {
+		var markers = TestRight.Feature.markers;
+
+		function shouldPass(stateDescription) {
+			return function(done) {
+				featureWithScenario([ stateDescription ]).test().then(done, function(reasons) {
+					done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+				}).end();
+			}
+		}
+
+		function shouldFail(stateDescription) {
+			return function(done) {
+				featureWithScenario([ stateDescription ]).test().then(function() {
+					done(new Error('Resolved instead of rejected!'));
+				}, function(reasons) {
+					reasons.failures.should.have.length(1);
+					done();
+				}).end();
+			}
+		}
+
+		it('should accept missing elements as absent', shouldPass({ 'TestWidget.missing': markers.absent }));
+
+		it('should reject existing elements as absent', shouldFail({ 'TestWidget.id': markers.absent }));
+
+		it('should accept hidden elements as hidden', shouldPass({ 'TestWidget.hidden': markers.hidden }));
+
+		it('should accept missing elements as hidden', shouldPass({ 'TestWidget.missing': markers.hidden }));
+
+		it('should reject displayed elements as hidden', shouldFail({ 'TestWidget.id': markers.hidden }));
+
+		it('should throw upon creation if used on something else than an element', function() {
+			(function() {
+				featureWithScenario([
+					{ 'TestWidget.submit': markers.absent }
+				]);
+			}).should.throw();
+		});
+	});
+
+	describe('nested widgets descriptions', function() {
+		it('should accept dotted paths to elements of nested widgets', function(done) {
+			var cards = new TestRight.Widget('Cards', {
+				widgets: {
+					Second: {
+						root: { css: '#cards .second' },
+						elements: {
+							title: { css: '.title' }
+						}
+					}
+				}
+			}, my.driver);
+
+			new TestRight.Feature('Nested widgets feature', [
+				{ 'Cards.Second.title': 'Second card' }
+			], { Cards: cards }).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+	});
+
+	describe('collections descriptions', function() {
+		var cards;
+
+		before(function() {
+			cards = new TestRight.Widget('Cards', {
+				elements: {
+					titles: [ { css: '#cards .title' } ]
+				}
+			}, my.driver);
+		});
+
+		it('should match arrays of texts', function(done) {
+			new TestRight.Feature('Collection texts feature', [
+				{ 'Cards.titles': [ 'First card', 'Second card' ] }
+			], { Cards: cards }).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should fail on arrays of texts in a different order', function(done) {
+			new TestRight.Feature('Collection texts order feature', [
+				{ 'Cards.titles': [ 'Second card', 'First card' ] }
+			], { Cards: cards }).test().then(function() {
+				done(new Error('Should not have passed'));
+			}, function() {
+				done();
+			}).end();
+		});
+
+		it('should match the count of elements', function(done) {
+			new TestRight.Feature('Collection count feature', [
+				{ 'Cards.titles:count': 2 }
+			], { Cards: cards }).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should not accept collection qualifiers on single elements', function() {
+			(function() {
+				featureWithScenario([
+					{ 'TestWidget.id:count': 1 }
+				]);
+			}).should.throw();
+		});
+	});
+
+	describe('typed inputs descriptions', function() {
+		var inputs;
+
+		before(function() {
+			inputs = new TestRight.Widget('Inputs', {
+				elements: {
+					country:	{ name: 'country' },
+					remember:	{ name: 'remember' }
+				},
+				fill: function fill(country, remember) {
+					this.country = country;
+					this.remember = remember;
+				}
+			}, my.driver);
+		});
+
+		it('should read back the text of selected options and the checked state', function(done) {
+			new TestRight.Feature('Typed inputs feature', [
+				inputs.fill, [ 'it', true ],
+				{
+					'Inputs.country':	'Italy',
+					'Inputs.remember':	true
+				},
+				inputs.fill, [ 'France', false ],
+				{
+					'Inputs.country':	'France',
+					'Inputs.remember':	false
+				}
+			], { Inputs: inputs }).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+	});
+
+	describe('boolean expectations', function() {
+		var expect = TestRight.Feature.expect;
+
+		it('should accept functions returning true', function(done) {
+			featureWithScenario([
+				expect(function() { return true })
+			]).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should not affect operational steps returning false', function(done) {
+			featureWithScenario([
+				function() { return false }
+			]).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should accept "has" with an existing element', function(done) {
+			featureWithScenario([
+				expect(WidgetTest.has), 'id'
+			]).test().then(done, function(reasons) {
+				done(new Error('Should have passed (reasons: "' + reasons.failures + '")'));
+			}).end();
+		});
+
+		it('should reject "has" with a missing element and describe the call', function(done) {
+			this.timeout(6000);	// since this raises an error, the Selenium server lags the first time
+
+			featureWithScenario([
+				expect(WidgetTest.has), 'missing'
+			]).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reasons) {
+				reasons.failures.should.have.length(1);
+				reasons.failures[0].should.include('Test widget.has("missing")');
+				reasons.failures[0].should.include('false');
+				done();
+			}).end();
+		});
+	});
+
+	describe('before and after steps', function() {
+		it('should evaluate them around the scenario', function(done) {
+			var order = [];
+
+			new TestRight.Feature('Hooked feature', [
+				function() { order.push('scenario') }
+			], {}, {
+				before:	[ function() { order.push('before') } ],
+				after:	[ function() { order.push('after') } ]
+			}).test().then(function() {
+				order.should.eql([ 'before', 'scenario', 'after' ]);
+				done();
+			}, done).end();
+		});
+
+		it('should not evaluate the scenario if a before step fails', function(done) {
+			var evaluated = false;
+
+			new TestRight.Feature('Failing before feature', [
+				function() { evaluated = true }
+			], {}, {
+				before:	[ function() { throw new Error('Before failure') } ]
+			}).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reasons) {
+				evaluated.should.be.false;
+				reasons.errors.should.have.length(1);
+				reasons.errors[0].should.match(/before.+Before failure/);
+				done();
+			}).end();
+		});
+
+		it('should evaluate after steps even if the scenario fails', function(done) {
+			var cleaned = false;
+
+			new TestRight.Feature('Failing scenario feature', [
+				function() { throw new Error('Scenario failure') }
+			], {}, {
+				after:	[ function() { cleaned = true } ]
+			}).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function() {
+				cleaned.should.be.true;
+				done();
+			}).end();
+		});
+	});
+
+	describe('timeouts', function() {
+		var hangingStep = function() {
+			return promises.defer().promise;	// never settled
+		}
+
+		hangingStep.displayName = 'HangingWidget.wait';
+
+		it('should reject steps that do not complete in time, naming them', function(done) {
+			var evaluated = false;
+
+			new TestRight.Feature('Hanging step feature', [
+				function() {},
+				hangingStep,
+				function() { evaluated = true }
+			], {}, {
+				stepTimeout: 0.1
+			}).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reasons) {
+				evaluated.should.be.false;
+				reasons.timedOut.should.be.true;
+				reasons.errors.should.have.length(1);
+				reasons.errors[0].message.should.match(/Step 2 \(HangingWidget\.wait\)/);
+				done();
+			}).end();
+		});
+
+		it('should not evaluate after steps once a step timed out', function(done) {
+			var cleaned = false;
+
+			new TestRight.Feature('Hanging step feature', [
+				hangingStep
+			], {}, {
+				stepTimeout: 0.1,
+				after: [ function() { cleaned = true } ]
+			}).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reasons) {
+				cleaned.should.be.false;
+				reasons.timedOut.should.be.true;
+				done();
+			}).end();
+		});
+
+		it('should reject features that do not complete in time, naming the current step', function(done) {
+			new TestRight.Feature('Hanging feature', [
+				hangingStep
+			], {}, {
+				featureTimeout: 0.1
+			}).test().then(function() {
+				done(new Error('Resolved instead of rejected!'));
+			}, function(reasons) {
+				reasons.timedOut.should.be.true;
+				reasons.errors[0].message.should.match(/step 1 \(HangingWidget\.wait\)/);
+				done();
+			}).end();
+		});
+	});
+
+	describe('tags', function() {
+		it('should be empty by default', function() {
+			featureWithScenario([]).tags.should.have.length(0);
+		});
+
+		it('should be kept from options', function() {
+			new TestRight.Feature('Test feature', [], {}, { tags: [ 'smoke', 'slow' ] }).tags.should.eql([ 'smoke', 'slow' ]);
+		});
+
+		it('should accept a single tag', function() {
+			new TestRight.Feature('Test feature', [], {}, { tags: 'smoke' }).tags.should.eql([ 'smoke' ]);
+		});
+	});
+
 	describe('widget access', function() {
 		it('of missing elements', function(done) {
 			featureWithScenario([
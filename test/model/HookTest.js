@@ -94,4 +94,56 @@ describe('Hook', function() {
 			});
 		});
 	});
+
+	describe('cache', function() {
+		var cachedTarget = {},
+			uncachedTarget = {};
+
+		before(function() {
+			TestRight.Hook.addHook(cachedTarget, 'id', { id: 'toto' }, my.driver);
+			TestRight.Hook.addHook(uncachedTarget, 'id', { id: 'toto' }, my.driver, { cache: false });
+		});
+
+		it('should reuse elements until invalidated', function() {
+			var element = cachedTarget.id;
+
+			cachedTarget.id.should.equal(element);
+			TestRight.Hook.invalidateCache();
+			cachedTarget.id.should.not.equal(element);
+		});
+
+		it('should look elements up on every access if disabled', function() {
+			uncachedTarget.id.should.not.equal(uncachedTarget.id);
+		});
+
+		it('should retry commands on stale elements', function(done) {
+			var element = cachedTarget.id;
+
+			element.getText().then(function() {
+				my.driver.navigate().refresh();
+
+				cachedTarget.id.getText().then(function(content) {
+					content.should.equal('This paragraph has id toto');
+					done();
+				}, done);
+			});
+		});
+
+		it('should retry element lookups within stale elements', function(done) {
+			var target = {};
+
+			TestRight.Hook.addHook(target, 'country', { css: 'select[name="country"]' }, my.driver);
+
+			var element = target.country;
+
+			element.getTagName().then(function() {
+				my.driver.navigate().refresh();
+
+				TestRight.Hook.readValue(element).then(function(value) {	// reads the selected option with `findElement`
+					value.should.equal('France');
+					done();
+				}, done);
+			});
+		});
+	});
 });
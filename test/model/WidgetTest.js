@@ -80,6 +80,12 @@ describe('Widget', function() {
 				done();
 			});
 		});
+
+		it('should refuse to check the presence of an undeclared element, naming it', function() {
+			(function() {
+				subject.has('undeclared');
+			}).should.throw('Widget "' + subject.name + '" has no element "undeclared". Known elements are: ' + Object.keys(subject.hooks).join(', ') + '.');
+		});
 	
 		xit('should fail promises if an unreachable element is accessed', function(done) {
 			subject.missing.getText().then(function() {	//TODO
@@ -97,4 +103,246 @@ describe('Widget', function() {
 			});
 		});
 	});
+
+	describe('typed inputs', function() {
+		var inputs;
+
+		before(function() {
+			inputs = new TestRight.Widget('Inputs widget', {
+				elements: {
+					country:	{ name: 'country' },
+					remember:	{ name: 'remember' },
+					large:		{ id: 'large' },
+					upload:		{ name: 'upload' }
+				}
+			}, my.driver);
+		});
+
+		it('should choose options of selects by their text', function(done) {
+			inputs.country = 'Italy';
+
+			inputs.country.getAttribute('value').then(function(value) {
+				value.should.equal('it');
+				done();
+			});
+		});
+
+		it('should choose options of selects by their value', function(done) {
+			inputs.country = 'fr';
+
+			inputs.country.getAttribute('value').then(function(value) {
+				value.should.equal('fr');
+				done();
+			});
+		});
+
+		it('should check checkboxes', function(done) {
+			inputs.remember = true;
+
+			inputs.remember.isSelected().then(function(selected) {
+				selected.should.be.true;
+				done();
+			});
+		});
+
+		it('should uncheck checkboxes', function(done) {
+			inputs.remember = false;
+
+			inputs.remember.isSelected().then(function(selected) {
+				selected.should.be.false;
+				done();
+			});
+		});
+
+		it('should check radio buttons', function(done) {
+			inputs.large = true;
+
+			inputs.large.isSelected().then(function(selected) {
+				selected.should.be.true;
+				done();
+			});
+		});
+
+		it('should upload files', function(done) {
+			inputs.upload = require('path').join(__dirname, '../resources/page.html');
+
+			inputs.upload.getAttribute('value').then(function(value) {
+				value.should.match(/page\.html$/);
+				done();
+			});
+		});
+	});
+
+	describe('magic', function() {
+		var magicElements = {
+			submitButton:		{ css: 'input[type="submit"]' },
+			textField:			{ css: 'input[name="field"]' },
+			rememberCheckbox:	{ name: 'remember' },
+			countrySelect:		{ name: 'country' },
+			menuHover:			{ id: 'toto' }
+		}
+
+		it('should generate methods for all default naming rules', function() {
+			var widget = new TestRight.Widget('Magic widget', {
+				elements: magicElements
+			}, my.driver);
+
+			[ 'submit', 'text', 'remember', 'country', 'menu' ].forEach(function(name) {
+				widget.should.have.property(name);
+				widget[name].should.be.a('function');
+			});
+		});
+
+		it('should not override explicitly defined methods', function() {
+			var explicit = function submit() {
+				return 'explicit';
+			}
+
+			var widget = new TestRight.Widget('Conflicting widget', {
+				elements: magicElements,
+				submit: explicit
+			}, my.driver);
+
+			widget.submit().should.equal('explicit');
+		});
+
+		it('should not override built-in members', function(done) {
+			var widget = new TestRight.Widget('Reserved widget', {
+				elements: {
+					nameField:	{ css: 'input[name="field"]' },
+					hasButton:	{ css: 'input[type="submit"]' }
+				}
+			}, my.driver);
+
+			widget.name.should.equal('Reserved widget');
+
+			widget.has('nameField').then(function(presence) {
+				presence.should.be.true;
+				done();
+			}, done);
+		});
+
+		it('should apply registered rules', function() {
+			var widget = new TestRight.Widget('Registered magic widget', {
+				elements: {
+					homeTab: { id: 'toto' }
+				}
+			}, my.driver, {
+				magic: TestRight.Widget.buildMagic({
+					tab: { suffix: 'Tab', action: 'click' }
+				})
+			});
+
+			widget.should.have.property('home');
+			widget.home.should.be.a('function');
+		});
+
+		it('should reject rules with unknown actions', function() {
+			(function() {
+				TestRight.Widget.buildMagic({
+					tab: { suffix: 'Tab', action: 'teleport' }
+				});
+			}).should.throw();
+		});
+
+		it('should set values on *Field names', function(done) {
+			var widget = new TestRight.Widget('Field widget', {
+				elements: magicElements
+			}, my.driver);
+
+			widget.text('Magic');
+
+			widget.textField.getAttribute('value').then(function(value) {
+				value.should.equal('Magic');
+				done();
+			});
+		});
+	});
+
+	describe('nested widgets', function() {
+		var cards;
+
+		before(function() {
+			cards = new TestRight.Widget('Cards', {
+				root: { id: 'cards' },
+				widgets: {
+					Second: {
+						root: { css: '.second' },
+						elements: {
+							title: { css: '.title' }
+						}
+					}
+				}
+			}, my.driver);
+		});
+
+		it('should be available as properties', function() {
+			cards.should.have.property('Second');
+			cards.Second.name.should.equal('Cards.Second');
+		});
+
+		it('should look up their elements inside their root', function(done) {
+			cards.Second.title.getText().then(function(text) {
+				text.should.equal('Second card');
+				done();
+			});
+		});
+
+		it('should make their root available as an element', function(done) {
+			cards.root.getAttribute('id').then(function(id) {
+				id.should.equal('cards');
+				done();
+			});
+		});
+	});
+
+	describe('collections', function() {
+		var cards;
+
+		before(function() {
+			cards = new TestRight.Widget('Cards', {
+				elements: {
+					titles: [ { css: '#cards .title' } ]
+				}
+			}, my.driver);
+		});
+
+		it('should count matching elements', function(done) {
+			cards.titles.count().then(function(count) {
+				count.should.equal(2);
+				done();
+			}).end();
+		});
+
+		it('should give the texts of all matching elements', function(done) {
+			cards.titles.texts().then(function(texts) {
+				texts.should.eql([ 'First card', 'Second card' ]);
+				done();
+			}).end();
+		});
+
+		it('should give access to elements by index', function(done) {
+			cards.titles.item(1).then(function(element) {
+				return element.getText();
+			}).then(function(text) {
+				text.should.equal('Second card');
+				done();
+			}).end();
+		});
+
+		it('should be rejected when accessing an index out of range', function(done) {
+			cards.titles.item(5).then(function() {
+				done(new Error('Should have been rejected'));
+			}, function() {
+				done();
+			}).end();
+		});
+
+		it('should be checked for presence', function(done) {
+			cards.has('titles').then(function(present) {
+				present.should.be.ok;
+				done();
+			}).end();
+		});
+	});
 });
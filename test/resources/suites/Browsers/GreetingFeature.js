@@ -0,0 +1,7 @@
+{
+	description: 'A user should be greeted',
+
+	scenario: [
+		function() {}
+	]
+}
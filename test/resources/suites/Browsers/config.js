@@ -0,0 +1,6 @@
+module.exports = {
+	browserProfiles: {
+		secure:	{ browserName: 'chrome', acceptSslCerts: true },
+		plain:	{ browserName: 'chrome' }
+	}
+}
@@ -0,0 +1,7 @@
+{
+	description: 'An egg should come from a chicken',
+
+	requires: [ 'ChickenFeature' ],
+
+	scenario: []
+}
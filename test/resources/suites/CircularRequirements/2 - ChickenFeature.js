@@ -0,0 +1,7 @@
+{
+	description: 'A chicken should come from an egg',
+
+	requires: [ 'EggFeature' ],
+
+	scenario: []
+}
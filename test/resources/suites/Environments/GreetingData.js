@@ -0,0 +1,2 @@
+greeting = 'Hey';
+farewell = 'Bye';
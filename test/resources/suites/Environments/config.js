@@ -0,0 +1,15 @@
+module.exports = {
+	data: {
+		greeting: 'Hello'
+	},
+
+	environments: {
+		staging: {
+			baseURL: 'file://' + __dirname + '/../../page.html?env=staging',
+			data: {
+				greeting: 'Hi'
+			}
+		},
+		production: {}
+	}
+}
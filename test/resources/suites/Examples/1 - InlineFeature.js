@@ -0,0 +1,12 @@
+{
+	description: 'Dialing {country} should need {code}',
+
+	examples: [
+		{ country: 'France', code: '+33' },
+		{ country: 'Japan', code: '+81' }
+	],
+
+	scenario: [
+		record, example.code
+	]
+}
@@ -0,0 +1,9 @@
+{
+	description: 'Looking up {country} should give {code}',
+
+	examples: 'codes.json',
+
+	scenario: [
+		record, example.country
+	]
+}
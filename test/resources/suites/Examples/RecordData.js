@@ -0,0 +1,3 @@
+record = function record(value) {
+	storage.recorded = (storage.recorded || []).concat(value);
+}
@@ -0,0 +1,7 @@
+{
+	description: 'A user should be able to log in',
+
+	scenario: [
+		function() {}
+	]
+}
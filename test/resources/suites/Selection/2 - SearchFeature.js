@@ -0,0 +1,9 @@
+{
+	description: 'A logged in user should be able to search',
+
+	requires: [ 'LoginFeature' ],
+
+	scenario: [
+		function() {}
+	]
+}
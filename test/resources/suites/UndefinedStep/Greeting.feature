@@ -0,0 +1,5 @@
+Feature: Greetings
+
+	Scenario: Saying hello and goodbye
+		When I say hello
+		Then I say goodbye
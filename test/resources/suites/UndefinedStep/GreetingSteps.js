@@ -0,0 +1,5 @@
+{
+	'I say hello': function() {
+		return [ function() {} ];
+	}
+}
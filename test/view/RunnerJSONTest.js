@@ -0,0 +1,145 @@
+var should = require('should'),
+	capture = require('../helpers/stdout').capture,
+	fs = require('fs'),
+	pathsUtils = require('path');
+
+require('../helpers/subject');	// loads MooTools, on which views rely
+
+var RunnerJSON = require('../../src/view/RunnerJSON');
+
+
+/** Creates an object standing for a Runner that evaluated the given suite, for view handlers to be called on.
+*/
+function makeRunner(config, results) {
+	return {
+		config:		config,
+		getResults:	function() { return results }
+	}
+}
+
+
+describe('RunnerJSON view', function() {
+	var error = new Error('Element not found');
+
+	var searchRunner = makeRunner({ name: 'Search', browser: 'firefox' }, [ {
+			feature:	{ description: 'Searching should work' },
+			status:		'success',
+			failures:	[],
+			errors:		[],
+			duration:	10,
+			attempts:	1
+		}, {
+			feature:	{ description: 'Registering should work' },
+			status:		'skipped',
+			reason:		'tagged with slow',
+			failures:	[],
+			errors:		[],
+			duration:	0,
+			attempts:	0
+		} ]),
+		loginRunner = makeRunner({ name: 'Login' }, [ {
+			feature:	{ description: 'Logging in should work' },
+			status:		'failure',
+			failures:	[ 'Header was "Hi" instead of "Hello"' ],
+			errors:		[],
+			artifacts:	{ screenshot: 'a.png', source: 'a.html', page: 'a.json' },
+			duration:	20,
+			attempts:	2
+		}, {
+			feature:	{ description: 'Logging out should work' },
+			status:		'error',
+			failures:	[],
+			errors:		[ error, "It's a trap!" ],
+			duration:	5,
+			attempts:	1
+		} ]);
+
+	var expected = {
+		suites: [ {
+			name:		'Search',
+			browser:	'firefox',
+			status:		'success',
+			duration:	10,
+			features:	[ {
+				description:	'Searching should work',
+				status:			'success',
+				reason:			null,
+				failures:		[],
+				errors:			[],
+				artifacts:		null,
+				duration:		10,
+				attempts:		1
+			}, {
+				description:	'Registering should work',
+				status:			'skipped',
+				reason:			'tagged with slow',
+				failures:		[],
+				errors:			[],
+				artifacts:		null,
+				duration:		0,
+				attempts:		0
+			} ]
+		}, {
+			name:		'Login',
+			browser:	null,
+			status:		'failure',
+			duration:	25,
+			features:	[ {
+				description:	'Logging in should work',
+				status:			'failure',
+				reason:			null,
+				failures:		[ 'Header was "Hi" instead of "Hello"' ],
+				errors:			[],
+				artifacts:		{ screenshot: 'a.png', source: 'a.html', page: 'a.json' },
+				duration:		20,
+				attempts:		2
+			}, {
+				description:	'Logging out should work',
+				status:			'error',
+				reason:			null,
+				failures:		[],
+				errors:			[ {
+					message:	'Element not found',
+					stack:		error.stack
+				}, {
+					message:	"It's a trap!"
+				} ],
+				artifacts:		null,
+				duration:		5,
+				attempts:		1
+			} ]
+		} ]
+	};
+
+	before(function() {
+		capture(RunnerJSON.end);	// start from a blank state, whatever other tests did
+	});
+
+	it('should not output anything when a Runner finishes', function() {
+		capture(function() {
+			RunnerJSON.success.call(searchRunner, {});
+			RunnerJSON.failure.call(loginRunner, {});
+		}).should.equal('');
+	});
+
+	it('should output a single document describing all suites at the end of the evaluation', function() {
+		capture(RunnerJSON.end).should.equal(JSON.stringify(expected, null, '\t') + '\n');
+	});
+
+	it('should start over for the next evaluation', function() {
+		capture(RunnerJSON.end).should.equal('{\n\t"suites": []\n}\n');
+	});
+
+	it('should write the document to the file given by the "jsonFile" configuration key', function() {
+		var file = pathsUtils.join(__dirname, 'RunnerJSONTest.json');
+
+		RunnerJSON.success.call(makeRunner({ name: 'Search', jsonFile: file }, []));
+
+		try {
+			capture(RunnerJSON.end).should.equal('');
+			JSON.parse(fs.readFileSync(file, 'utf8')).suites[0].name.should.equal('Search');
+		} finally {
+			fs.unlinkSync(file);
+		}
+	});
+});
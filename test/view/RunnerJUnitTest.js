@@ -0,0 +1,113 @@
+var should = require('should'),
+	fs = require('fs'),
+	pathsUtils = require('path');
+
+require('../helpers/subject');	// loads MooTools, on which views rely
+
+var RunnerJUnit = require('../../src/view/RunnerJUnit');
+
+
+/** Path to the report file written by the view during these tests.
+*/
+var REPORT = pathsUtils.join(__dirname, 'RunnerJUnitTest.xml');
+
+
+/** Creates an object standing for a Runner that evaluated the given suite, for view handlers to be called on.
+*/
+function makeRunner(label, results) {
+	return {
+		config:		{ junitFile: REPORT },
+		getLabel:	function() { return label },
+		getResults:	function() { return results }
+	}
+}
+
+/** Reads the written report, replacing the generation dates of its suites, as they can't be known in advance.
+*/
+function readReport() {
+	return fs.readFileSync(REPORT, 'utf8').replace(/ timestamp="([^"]+)"/g, function(match, date) {
+		new Date(date).toISOString().should.equal(date);
+
+		return ' timestamp="DATE"';
+	});
+}
+
+
+describe('RunnerJUnit view', function() {
+	var error = new Error('Element <button> not found');
+
+	error.stack = 'Error: Element <button> not found\n    at "LogoutWidget"';
+
+	var searchRunner = makeRunner('Search (firefox)', [ {
+			feature:	{ description: 'Searching for <b> & "i" should work' },
+			status:		'success',
+			failures:	[],
+			errors:		[],
+			duration:	10,
+			attempts:	1
+		}, {
+			feature:	{ description: 'Registering should work' },
+			status:		'skipped',
+			reason:		'tagged with slow',
+			failures:	[],
+			errors:		[],
+			duration:	0,
+			attempts:	0
+		} ]),
+		loginRunner = makeRunner('Login', [ {
+			feature:	{ description: 'Logging in should work' },
+			status:		'failure',
+			failures:	[ 'Header was "Hi" instead of "Hello"' ],
+			errors:		[],
+			duration:	20,
+			attempts:	2
+		}, {
+			feature:	{ description: 'Logging out should work' },
+			status:		'error',
+			failures:	[],
+			errors:		[ error, "It's a trap!" ],
+			duration:	5,
+			attempts:	1
+		} ]);
+
+	var searchSuite = '\t<testsuite name="Search (firefox)" tests="2" failures="0" errors="0" skipped="1" time="0.010" timestamp="DATE">\n'
+					+ '\t\t<testcase classname="Search (firefox)" name="Searching for &lt;b&gt; &amp; &quot;i&quot; should work" time="0.010"/>\n'
+					+ '\t\t<testcase classname="Search (firefox)" name="Registering should work" time="0.000">\n'
+					+ '\t\t\t<skipped message="tagged with slow"/>\n'
+					+ '\t\t</testcase>\n'
+					+ '\t</testsuite>\n',
+		loginSuite = '\t<testsuite name="Login" tests="2" failures="1" errors="1" skipped="0" time="0.025" timestamp="DATE">\n'
+					+ '\t\t<testcase classname="Login" name="Logging in should work" time="0.020">\n'
+					+ '\t\t\t<failure message="Header was &quot;Hi&quot; instead of &quot;Hello&quot;">Header was &quot;Hi&quot; instead of &quot;Hello&quot;</failure>\n'
+					+ '\t\t\t<system-out>Evaluated 2 times</system-out>\n'
+					+ '\t\t</testcase>\n'
+					+ '\t\t<testcase classname="Login" name="Logging out should work" time="0.005">\n'
+					+ '\t\t\t<error message="Element &lt;button&gt; not found" type="Error">Error: Element &lt;button&gt; not found\n    at &quot;LogoutWidget&quot;</error>\n'
+					+ '\t\t\t<error message="It&apos;s a trap!" type="Error">It&apos;s a trap!</error>\n'
+					+ '\t\t</testcase>\n'
+					+ '\t</testsuite>\n';
+
+	after(function() {
+		if (fs.existsSync(REPORT))
+			fs.unlinkSync(REPORT);
+	});
+
+	it('should write the results of a finished suite to the file given by the "junitFile" configuration key', function() {
+		RunnerJUnit.success.call(searchRunner);
+
+		readReport().should.equal('<?xml version="1.0" encoding="UTF-8"?>\n'
+								+ '<testsuites>\n'
+								+ searchSuite
+								+ '</testsuites>\n');
+	});
+
+	it('should rewrite the file with all suites evaluated so far when another suite finishes', function() {
+		RunnerJUnit.failure.call(loginRunner);
+
+		readReport().should.equal('<?xml version="1.0" encoding="UTF-8"?>\n'
+								+ '<testsuites>\n'
+								+ searchSuite
+								+ loginSuite
+								+ '</testsuites>\n');
+	});
+});
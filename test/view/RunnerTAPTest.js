@@ -0,0 +1,101 @@
+var should = require('should'),
+	capture = require('../helpers/stdout').capture;
+
+require('../helpers/subject');	// loads MooTools, on which views rely
+
+var RunnerTAP = require('../../src/view/RunnerTAP');
+
+
+describe('RunnerTAP view', function() {
+	var results = [],
+		runner = {	// stands for the emitting Runner
+			getLabel: function() { return 'Search (firefox)' },
+			getResults: function() { return results }
+		};
+
+	before(function() {
+		capture(RunnerTAP.end);	// start from a blank state, whatever other tests did
+	});
+
+	it('should output the header and the suite label before the run', function() {
+		capture(RunnerTAP.beforeRun.bind(runner)).should.equal('TAP version 13\n# Search (firefox)\n');
+	});
+
+	it('should output a test point for a successful feature', function() {
+		results.push({ attempts: 1 });
+
+		capture(RunnerTAP.featureSuccess.bind(runner, { description: 'Searching should work' })).should.equal('ok 1 - Searching should work\n');
+	});
+
+	it('should output the number of attempts of a successful feature that was retried', function() {
+		results.push({ attempts: 2 });
+
+		capture(RunnerTAP.featureSuccess.bind(runner, { description: 'Flaky searching should work' })).should.equal([
+			'ok 2 - Flaky searching should work',
+			'  ---',
+			'  attempts: 2',
+			'  ...',
+			''
+		].join('\n'));
+	});
+
+	it('should output a comment for a retried attempt', function() {
+		capture(RunnerTAP.featureRetry.bind(runner, { description: 'Logging in should work' }, 1, [ 'Missing field', 'Timed out' ])).should.equal('# Attempt 1 of "Logging in should work" failed, retrying (Missing field; Timed out)\n');
+	});
+
+	it('should output a failing test point with YAML diagnostics for a failed feature', function() {
+		results.push({ duration: 12, attempts: 2 });
+
+		capture(RunnerTAP.featureFailure.bind(runner, { description: 'Logging in should work' }, [ 'Header was "Hi" instead of "Hello"' ])).should.equal([
+			'not ok 3 - Logging in should work',
+			'  ---',
+			'  severity: "fail"',
+			'  failures:',
+			'    - "Header was \\"Hi\\" instead of \\"Hello\\""',
+			'  duration_ms: 12',
+			'  attempts: 2',
+			'  ...',
+			''
+		].join('\n'));
+	});
+
+	it('should output a failing test point with YAML diagnostics for a feature that raised errors', function() {
+		results.push({ duration: 3, attempts: 1 });
+
+		capture(RunnerTAP.featureError.bind(runner, { description: 'Logging out should work' }, [ "It's a trap!" ])).should.equal([
+			'not ok 4 - Logging out should work',
+			'  ---',
+			'  severity: "error"',
+			'  errors:',
+			'    - "It\'s a trap!"',
+			'  duration_ms: 3',
+			'  attempts: 1',
+			'  ...',
+			''
+		].join('\n'));
+	});
+
+	it('should output a test point with a SKIP directive for a skipped feature', function() {
+		capture(RunnerTAP.featureSkip.bind(runner, { description: 'Registering should work' }, 'tagged with slow')).should.equal('ok 5 - Registering should work # SKIP tagged with slow\n');
+	});
+
+	it('should output setup and teardown failures as comments', function() {
+		capture(function() {
+			RunnerTAP.setupFailure.call(runner, { description: 'Setup' }, [ 'No network' ]);
+			RunnerTAP.teardownFailure.call(runner, { description: 'Teardown' }, [ 'Still no network' ]);
+		}).should.equal('# Setup failed: Setup (No network)\n# Teardown failed: Teardown (Still no network)\n');
+	});
+
+	it('should not output the plan when a Runner finishes', function() {
+		should.not.exist(RunnerTAP.success);
+		should.not.exist(RunnerTAP.failure);
+	});
+
+	it('should output the plan at the end of the evaluation', function() {
+		capture(RunnerTAP.end).should.equal('1..5\n');
+	});
+
+	it('should start over for the next evaluation', function() {
+		capture(RunnerTAP.end).should.equal('TAP version 13\n1..0\n');
+	});
+});